@@ -1,5 +1,8 @@
 import { execSync, spawn } from 'child_process';
 import fs from 'fs';
+import path from 'path';
+import AIAuditor from './src/ai-audit/AIAuditor.js';
+import RuleEngine from './src/governance/RuleEngine.js';
 
 function runCommand(command, description) {
   console.log(`\n🔧 ${description}`);
@@ -17,6 +20,80 @@ function runCommand(command, description) {
   }
 }
 
+// For commands whose stdout is checked directly; check returns a failure message or nothing
+function runOutputCommand(command, description, check) {
+  console.log(`\n🔧 ${description}`);
+  console.log(`   Command: ${command}`);
+
+  try {
+    const failure = check(execSync(command, { encoding: 'utf8', stdio: 'pipe' }));
+    if (failure) {
+      console.log('Failed:', failure);
+      return false;
+    }
+    console.log('Success\n');
+    return true;
+  } catch (error) {
+    console.log('Failed:', error.message.replace(/\n/g, '\n   '));
+    return false;
+  }
+}
+
+// For commands whose stdout is a JSON document
+function runJsonCommand(command, description, check) {
+  return runOutputCommand(command, description, (output) => check(JSON.parse(output)));
+}
+
+// For commands whose exit status is the result under test, such as quality gate failures
+function runExitCodeCommand(command, description, expectedCode) {
+  console.log(`\n🔧 ${description}`);
+  console.log(`   Command: ${command}`);
+
+  let status = 0;
+  try {
+    execSync(command, { encoding: 'utf8', stdio: 'pipe' });
+  } catch (error) {
+    status = error.status;
+  }
+  if (status !== expectedCode) {
+    console.log(`Failed: exited with ${status}, expected ${expectedCode}`);
+    return false;
+  }
+  console.log(`Success (exit code ${status})\n`);
+  return true;
+}
+
+// For checks that call analyzers directly; check returns a failure message or nothing
+async function runCheck(description, check) {
+  console.log(`\n🔧 ${description}`);
+
+  try {
+    const failure = await check();
+    if (failure) {
+      console.log('Failed:', failure);
+      return false;
+    }
+    console.log('Success\n');
+    return true;
+  } catch (error) {
+    console.log('Failed:', error.message);
+    return false;
+  }
+}
+
+// Passing a detection result skips the model call, so the AI audit rules run offline
+async function auditAsAICode(filePath) {
+  const detection = { isLikelyAI: true, confidence: 1, sections: [], indicators: [] };
+  return new AIAuditor().auditAICode(fs.readFileSync(filePath, 'utf8'), filePath, null, { detection });
+}
+
+function writeFixture(files) {
+  for (const [file, content] of Object.entries(files)) {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, typeof content === 'string' ? content : JSON.stringify(content));
+  }
+}
+
 function testMCPServer() {
   console.log('\n🌐 Testing MCP Server...');
   
@@ -111,7 +188,223 @@ if (runCommand('node src/cli/index.js ai-audit test-workspace/ai-generated.js -p
   passedTests++;
 }
 
-// Test 8: MCP Server (requires curl)
+// Test 8: Baselined file-level findings survive edits at the top of the file
+totalTests++;
+writeFixture({
+  'test-baseline/src/math.js': Array.from({ length: 25 }, (_, i) => `export const value${i} = ${i};`).join('\n'),
+  'test-baseline-rules.json': {
+    metadata: { version: '1.0.0', name: 'test-baseline' },
+    rules: { testing: { enabled: true, rules: { 'require-test-file': { enabled: true, severity: 'high' } } } }
+  }
+});
+if (runCommand('node src/cli/index.js compliance test-baseline -r test-baseline-rules.json --baseline test-baseline/baseline.json', 'Record a baseline')) {
+  fs.writeFileSync('test-baseline/src/math.js', '// Header comment\n' + fs.readFileSync('test-baseline/src/math.js', 'utf8'));
+  if (runCommand('node src/cli/index.js compliance test-baseline -r test-baseline-rules.json --baseline test-baseline/baseline.json --fail-on low', 'Test baseline after prepending a line')) {
+    passedTests++;
+  }
+}
+
+// Test 9: Dependency audit with version ranges and SPDX license expressions
+totalTests++;
+writeFixture({
+  'test-deps/package.json': { name: 'fixture', version: '1.0.0', dependencies: { 'left-pad': '^1.3.0', 'dual-licensed': '^2.0.0', 'copyleft': '^1.0.0', 'old-lib': '^0.9.0' } },
+  'test-deps/node_modules/left-pad/package.json': { name: 'left-pad', version: '1.3.0', license: 'WTFPL OR MIT' },
+  'test-deps/node_modules/dual-licensed/package.json': { name: 'dual-licensed', version: '2.1.0', license: '(GPL-3.0-only OR Apache-2.0)' },
+  'test-deps/node_modules/copyleft/package.json': { name: 'copyleft', version: '1.0.0', license: 'GPL-3.0-only AND MIT' },
+  'test-deps/node_modules/old-lib/package.json': { name: 'old-lib', version: '0.9.4', license: 'MIT' },
+  'test-deps-rules.json': {
+    metadata: { version: '1.0.0', name: 'test-deps' },
+    rules: {},
+    dependencies: {
+      versions: { 'left-pad': '>=1.2.0 <2', 'dual-licensed': '^2.0.0 || ^3.0.0', 'old-lib': '>=1.0.0' },
+      licenses: ['MIT', 'Apache-2.0']
+    }
+  }
+});
+if (runJsonCommand('node src/cli/index.js deps audit test-deps -r test-deps-rules.json --format json', 'Test dependency version ranges and license expressions', (report) => {
+  const issues = Object.fromEntries(report.packages.map(entry => [entry.name, entry.issues.map(issue => issue.type).join(',')]));
+  const expected = { 'left-pad': '', 'dual-licensed': '', 'copyleft': 'license', 'old-lib': 'version' };
+  const wrong = Object.keys(expected).filter(name => issues[name] !== expected[name]);
+  if (wrong.length > 0) return `unexpected issues for ${wrong.join(', ')}: ${JSON.stringify(issues)}`;
+})) {
+  passedTests++;
+}
+
+// Test 10: File discovery honors .gitignore negations and directory-only patterns
+totalTests++;
+writeFixture({
+  'test-ignore/.gitignore': 'out/\ngenerated/*\n!generated/keep.js\n',
+  'test-ignore/src/app.js': 'export default 1;\n',
+  'test-ignore/src/out/skipped.js': 'export default 1;\n',
+  'test-ignore/out/skipped.js': 'export default 1;\n',
+  'test-ignore/generated/skipped.js': 'export default 1;\n',
+  'test-ignore/generated/keep.js': 'export default 1;\n'
+});
+if (runJsonCommand('node src/cli/index.js graph test-ignore --format json', 'Test .gitignore negation and directory-only patterns', (graph) => {
+  const files = graph.nodes.map(node => node.id).sort().join(', ');
+  if (files !== 'test-ignore/generated/keep.js, test-ignore/src/app.js') return `unexpected files ${files}`;
+})) {
+  passedTests++;
+}
+
+// Test 11: Exit codes for quality gate failures and tool errors
+totalTests++;
+writeFixture({
+  'test-exit/bad.js': 'eval(input);\n',
+  'test-exit-rules.json': { metadata: { version: '1.0.0', name: 'test-exit' }, extends: ['manasx:recommended'], rules: {} },
+  'test-exit-broken.json': '{bad'
+});
+const failsQualityGate = runExitCodeCommand('node src/cli/index.js compliance test-exit -r test-exit-rules.json --fail-on high', 'Test exit code 1 for a high-severity finding', 1);
+const failsOnBrokenRules = runExitCodeCommand('node src/cli/index.js compliance test-exit -r test-exit-broken.json', 'Test exit code 2 for a broken rules file', 2);
+if (failsQualityGate && failsOnBrokenRules) {
+  passedTests++;
+}
+
+// Test 12: Inline suppressions need a reason and are reported as used
+totalTests++;
+writeFixture({
+  'test-suppressions/reasoned.js': '// manasx-disable-next-line security/no-eval -- reason: input is a trusted constant\neval(input);\n',
+  'test-suppressions/unreasoned.js': '// manasx-disable-next-line security/no-eval\neval(input);\n',
+  'test-suppressions-rules.json': { metadata: { version: '1.0.0', name: 'test-suppressions' }, extends: ['manasx:recommended'], rules: {} }
+});
+const hidesFindings = runExitCodeCommand('node src/cli/index.js compliance test-suppressions -r test-suppressions-rules.json --fail-on high', 'Test that suppressed eval findings do not fail the gate', 0);
+const flagsMissingReason = runOutputCommand('node src/cli/index.js compliance test-suppressions -r test-suppressions-rules.json', 'Test that a suppression without a reason is reported', (output) => {
+  if (!output.includes('test-suppressions/unreasoned.js') || !output.includes('needs a reason')) return 'missing-reason violation not reported';
+  if (output.includes('test-suppressions/reasoned.js')) return 'reasoned suppression reported a violation';
+});
+const listsSuppressions = runJsonCommand('node src/cli/index.js suppressions test-suppressions -r test-suppressions-rules.json --format json', 'Test the suppression usage report', (report) => {
+  const reasoned = report.suppressions.find(suppression => suppression.file === 'test-suppressions/reasoned.js');
+  if (!reasoned || reasoned.used !== 1 || reasoned.reason !== 'input is a trusted constant') return `unexpected suppression ${JSON.stringify(reasoned)}`;
+  if (report.summary.missingReason !== 1) return `expected 1 suppression without a reason, got ${report.summary.missingReason}`;
+});
+if (hidesFindings && flagsMissingReason && listsSuppressions) {
+  passedTests++;
+}
+
+// Test 13: Secret scanning finds provider keys and private keys and masks their values
+totalTests++;
+// Built at runtime so this file never contains a literal secret
+const fakeToken = 'ghp_' + 'a1B2c3D4e5F6'.repeat(3);
+writeFixture({
+  'test-secrets/config.js': `export const client = { token: '${fakeToken}' };\n`,
+  'test-secrets/deploy.js': `export const key = \`-----BEGIN ${'RSA PRIVATE'} KEY-----\nMIIEow\`;\n`
+});
+if (runOutputCommand('node src/cli/index.js secrets scan test-secrets --format json --fail-on none', 'Test secret detection and masking', (output) => {
+  if (output.includes(fakeToken)) return 'output contains the unmasked token';
+  const detectors = JSON.parse(output).secrets.map(secret => `${secret.file}:${secret.detector}:${secret.masked}`).sort().join(', ');
+  if (detectors !== 'test-secrets/config.js:github-token:ghp_********, test-secrets/deploy.js:private-key:[REDACTED PRIVATE KEY]') return `unexpected secrets ${detectors}`;
+})) {
+  passedTests++;
+}
+
+// Test 14: AI audit flags packages that are neither declared nor installed
+totalTests++;
+writeFixture({
+  'test-hallucinations/package.json': { name: 'fixture', version: '1.0.0', dependencies: { commander: '^12.0.0' } },
+  'test-hallucinations/packages.js': "import { Command } from 'comander';\n\nexport default new Command();\n"
+});
+if (await runCheck('Test hallucinated package detection', async () => {
+  const messages = (await auditAsAICode('test-hallucinations/packages.js')).violations
+    .filter(violation => violation.rule === 'no-hallucinated-packages')
+    .map(violation => violation.message);
+  if (!messages.some(message => message.includes("Package 'comander'") && message.includes("did you mean 'commander'"))) {
+    return `unexpected messages ${JSON.stringify(messages)}`;
+  }
+})) {
+  passedTests++;
+}
+
+// Test 15: AI audit flags members that do not exist on built-in modules
+totalTests++;
+writeFixture({
+  'test-hallucinations/apis.js': "import fs from 'fs';\nimport path from 'path';\n\nexport async function load(file) {\n  const text = await fs.readFileAsync(path.joinPaths('data', file));\n  return fs.promises.readFil(text);\n}\n"
+});
+if (await runCheck('Test hallucinated API detection', async () => {
+  const messages = (await auditAsAICode('test-hallucinations/apis.js')).violations
+    .filter(violation => violation.rule === 'no-hallucinated-apis')
+    .map(violation => violation.message);
+  const expected = [
+    "'readFileAsync' does not exist on 'fs'",
+    "'joinPaths' does not exist on 'path' (did you mean 'join'?)",
+    "'readFil' does not exist on 'fs'.promises (did you mean 'readFile'?)"
+  ];
+  const missing = expected.filter(text => !messages.some(message => message.startsWith(text)));
+  if (missing.length > 0) return `missing ${missing.join(', ')} in ${JSON.stringify(messages)}`;
+})) {
+  passedTests++;
+}
+
+// Test 16: Deprecated Node.js and package APIs are reported with their replacements, shadowed names are not
+totalTests++;
+writeFixture({
+  'test-deprecations/package.json': { name: 'fixture', version: '1.0.0', dependencies: { 'legacy-lib': '^1.0.0' } },
+  'test-deprecations/node_modules/legacy-lib/package.json': { name: 'legacy-lib', version: '1.0.0', main: 'index.js', types: 'index.d.ts' },
+  'test-deprecations/node_modules/legacy-lib/index.js': 'module.exports = {};\n',
+  'test-deprecations/node_modules/legacy-lib/index.d.ts': '/** @deprecated Use connect() instead */\nexport declare function open(url: string): void;\nexport declare function connect(url: string): void;\n',
+  'test-deprecations/apis.js': "import { parse as parseUrl } from 'url';\nimport fs from 'fs';\n\nexport function legacy(input) {\n  const bytes = new Buffer(input);\n  const prefix = 'x'.substr(0, 1);\n  fs.exists(input, () => {});\n  return [bytes, prefix, parseUrl(input)];\n}\n",
+  'test-deprecations/shadowed.js': "class Buffer {\n  constructor(value) {\n    this.value = value;\n  }\n}\n\nfunction escape(value) {\n  return value.replace(/'/g, \"\\\\'\");\n}\n\nexport const quoted = escape(new Buffer('x').value);\n",
+  'test-deprecations/packages.js': "import { open, connect } from 'legacy-lib';\n\nopen('a');\nconnect('b');\n",
+  'test-deprecations-rules.json': {
+    metadata: { version: '1.0.0', name: 'test-deprecations' },
+    rules: { deprecations: { enabled: true, rules: { 'node-apis': { severity: 'medium', enabled: true }, 'package-apis': { severity: 'medium', enabled: true } } } }
+  }
+});
+if (await runCheck('Test deprecated API detection', async () => {
+  const ruleEngine = new RuleEngine();
+  await ruleEngine.loadRules('test-deprecations-rules.json');
+  const findings = async (file) => (await ruleEngine.applyRules(file, fs.readFileSync(file, 'utf8')))
+    .map(violation => `${violation.ruleId}:${violation.line}:${violation.replacement}`)
+    .sort()
+    .join(', ');
+
+  const expected = {
+    'test-deprecations/apis.js': [
+      'deprecations/node-apis:1:new URL()',
+      'deprecations/node-apis:5:Buffer.from(), Buffer.alloc() or Buffer.allocUnsafe()',
+      'deprecations/node-apis:6:slice() or substring()',
+      'deprecations/node-apis:7:fs.existsSync() or fs.promises.access()'
+    ].join(', '),
+    'test-deprecations/shadowed.js': '',
+    'test-deprecations/packages.js': 'deprecations/package-apis:1:Use connect() instead'
+  };
+  for (const [file, wanted] of Object.entries(expected)) {
+    const actual = await findings(file);
+    if (actual !== wanted) return `unexpected findings in ${file}: ${actual || 'none'}`;
+  }
+})) {
+  passedTests++;
+}
+
+// Test 17: Compliance results do not depend on the number of worker threads
+totalTests++;
+const parallelFiles = { 'test-parallel-rules.json': { metadata: { version: '1.0.0', name: 'test-parallel' }, extends: ['manasx:recommended'], rules: {} } };
+for (let index = 1; index <= 6; index++) {
+  parallelFiles[`test-parallel/module${index}.js`] = `export function run${index}(input) {\n  ${index % 2 === 0 ? 'eval(input);' : 'return new Buffer(input);'}\n}\n`;
+}
+writeFixture(parallelFiles);
+const runCompliance = (flags) => execSync(`node src/cli/index.js compliance test-parallel -r test-parallel-rules.json ${flags}`, { encoding: 'utf8', stdio: 'pipe' });
+if (await runCheck('Test compliance output with one and two worker threads', async () => {
+  const sequential = runCompliance('--jobs 1 --no-cache');
+  if (!sequential.includes('Total violations: 6')) return `expected 6 violations, got:\n${sequential}`;
+  if (runCompliance('--jobs 2 --no-cache') !== sequential) return 'output differs between --jobs 1 and --jobs 2';
+})) {
+  passedTests++;
+}
+
+// Test 18: Cached compliance results match a fresh run, and cache clear removes them
+totalTests++;
+if (await runCheck('Test cached compliance output and cache clear', async () => {
+  const fresh = runCompliance('--jobs 2 --no-cache');
+  runCompliance('--jobs 2');
+  if (!fs.existsSync(path.join('.manasx', 'cache'))) return 'no cache was written to .manasx/cache';
+  if (runCompliance('--jobs 2') !== fresh) return 'cached output differs from a fresh run';
+  execSync('node src/cli/index.js cache clear', { stdio: 'pipe' });
+  if (fs.existsSync(path.join('.manasx', 'cache'))) return 'cache clear left .manasx/cache behind';
+})) {
+  passedTests++;
+}
+
+// Test 19: MCP Server (requires curl)
 try {
   execSync('which curl', { stdio: 'ignore' });
   totalTests++;
@@ -150,6 +443,14 @@ setTimeout(() => {
     if (fs.existsSync('test-patterns.json')) fs.unlinkSync('test-patterns.json');
     if (fs.existsSync('test-manasx-rules.json')) fs.unlinkSync('test-manasx-rules.json');
     if (fs.existsSync('test-rules.json')) fs.unlinkSync('test-rules.json');
+    if (fs.existsSync('test-baseline-rules.json')) fs.unlinkSync('test-baseline-rules.json');
+    if (fs.existsSync('test-deps-rules.json')) fs.unlinkSync('test-deps-rules.json');
+    if (fs.existsSync('test-exit-rules.json')) fs.unlinkSync('test-exit-rules.json');
+    if (fs.existsSync('test-exit-broken.json')) fs.unlinkSync('test-exit-broken.json');
+    if (fs.existsSync('test-suppressions-rules.json')) fs.unlinkSync('test-suppressions-rules.json');
+    if (fs.existsSync('test-deprecations-rules.json')) fs.unlinkSync('test-deprecations-rules.json');
+    if (fs.existsSync('test-parallel-rules.json')) fs.unlinkSync('test-parallel-rules.json');
+    ['test-baseline', 'test-deps', 'test-ignore', 'test-exit', 'test-suppressions', 'test-secrets', 'test-hallucinations', 'test-deprecations', 'test-parallel'].forEach(directory => fs.rmSync(directory, { recursive: true, force: true }));
     console.log('✅ Cleanup complete');
   } catch (error) {
     console.log('⚠️  Cleanup failed:', error.message);
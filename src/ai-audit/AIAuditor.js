@@ -1,11 +1,22 @@
+import fs from 'fs/promises';
+import path from 'path';
 import AIDetector from './AIDetector.js';
 import { callAiModelOnCode } from '../utils/AiModel.js';
 import { logger } from '../utils/logger.js';
+import { findClosest } from '../utils/editDistance.js';
+import { walkAst, getPropertyName } from '../utils/astParser.js';
+import { toFileContext } from '../utils/fileContext.js';
+import ExportSurface from './ExportSurface.js';
+import InlineSuppressions from '../governance/InlineSuppressions.js';
+import ImportGraph from '../governance/ImportGraph.js';
+import DependencyPolicy from '../governance/DependencyPolicy.js';
 
 export default class AIAuditor {
-  constructor(organizationalRules = null) {
-    this.detector = new AIDetector();
+  constructor(organizationalRules = null, options = {}) {
+    this.detector = new AIDetector({ fileDiscovery: organizationalRules?.getFileDiscovery(), cache: options.cache });
     this.orgRules = organizationalRules;
+    this.importGraph = null;
+    this.exportSurface = null;
     this.aiCodeRules = this.initializeAICodeRules();
   }
 
@@ -15,7 +26,7 @@ export default class AIAuditor {
         'require-human-comments': {
           description: 'AI-generated code must include human review comments',
           severity: 'medium',
-          check: (content, aiSections) => {
+          check: ({ content }, aiSections) => {
             const humanCommentPatterns = [
               /\/\/\s*Reviewed by:/i,
               /\/\/\s*Human verified:/i,
@@ -42,15 +53,15 @@ export default class AIAuditor {
         'require-unit-tests': {
           description: 'AI-generated functions must have corresponding unit tests',
           severity: 'high',
-          check: (content, aiSections, filePath) => {
+          check: (file, aiSections, filePath) => {
             const violations = [];
             const functionRegex = /(?:function\s+([a-zA-Z_$][a-zA-Z0-9_$]*)|(?:const|let)\s+([a-zA-Z_$][a-zA-Z0-9_$]*)\s*=\s*(?:async\s+)?(?:\([^)]*\)\s*=>|\())/g;
             let match;
             
             const functions = [];
-            while ((match = functionRegex.exec(content)) !== null) {
+            while ((match = functionRegex.exec(file.content)) !== null) {
               const funcName = match[1] || match[2];
-              const lineNum = content.substring(0, match.index).split('\n').length;
+              const lineNum = file.getLineNumber(match.index);
               
               const isInAISection = aiSections.some(section => 
                 Math.abs(section.line - lineNum) <= 5
@@ -79,12 +90,11 @@ export default class AIAuditor {
         'require-complexity-comments': {
           description: 'Complex AI-generated logic must have explanatory comments',
           severity: 'medium',
-          check: (content, aiSections) => {
+          check: (file, aiSections) => {
             const violations = [];
-            const lines = content.split('\n');
             
             for (const section of aiSections) {
-              const sectionContent = lines.slice(Math.max(0, section.line - 5), section.line + 5).join('\n');
+              const sectionContent = file.lines.slice(Math.max(0, section.line - 5), section.line + 5).join('\n');
               
               const complexityIndicators = [
                 /for\s*\([^)]*\)\s*\{[\s\S]*?for\s*\([^)]*\)/, // Nested loops
@@ -119,7 +129,7 @@ export default class AIAuditor {
         'no-ai-placeholders': {
           description: 'AI-generated code must not contain placeholder comments',
           severity: 'high',
-          check: (content) => {
+          check: (file) => {
             const placeholders = [
               /\/\/\s*TODO:/i,
               /\/\/\s*FIXME:/i,
@@ -131,9 +141,9 @@ export default class AIAuditor {
 
             const violations = [];
             for (const pattern of placeholders) {
-              const matches = [...content.matchAll(new RegExp(pattern.source, pattern.flags + 'g'))];
+              const matches = [...file.content.matchAll(new RegExp(pattern.source, pattern.flags + 'g'))];
               for (const match of matches) {
-                const lineNum = content.substring(0, match.index).split('\n').length;
+                const lineNum = file.getLineNumber(match.index);
                 violations.push({
                   rule: 'no-ai-placeholders',
                   message: 'Remove AI placeholder comments and implement proper code',
@@ -149,10 +159,102 @@ export default class AIAuditor {
           }
         },
 
+        'no-hallucinated-apis': {
+          description: 'Members used on imported built-ins and packages must exist in their export surface',
+          severity: 'high',
+          check: async (file, aiSections, filePath) => {
+            const ast = file.ast;
+            if (!ast) return [];
+
+            const surfaces = this.getExportSurface();
+            const fromDir = path.dirname(path.resolve(filePath));
+            const bindings = file.moduleBindings;
+            const owners = new Map();
+            bindings.forEach(binding => binding.references.forEach(identifier => owners.set(identifier, binding)));
+
+            const violations = [];
+            const reported = new Set();
+            const report = (binding, member, node, available, owner) => {
+              const key = `${binding.specifier}\0${owner}\0${member}`;
+              if (reported.has(key) || available.has(member)) return;
+              reported.add(key);
+
+              const candidates = [...available];
+              // Closest spelling first, otherwise the longest real name the invented one extends: readFileAsync -> readFile
+              const suggestions = findClosest(member, candidates);
+              if (suggestions.length === 0) {
+                const prefix = candidates.filter(name => name.length >= 4 && member.startsWith(name)).sort((a, b) => b.length - a.length)[0];
+                if (prefix) suggestions.push(prefix);
+              }
+              const didYouMean = suggestions.length > 0 ? ` (did you mean '${suggestions[0]}'?)` : '';
+              violations.push({
+                rule: 'no-hallucinated-apis',
+                message: `'${member}' does not exist on ${owner}${didYouMean}`,
+                severity: 'high',
+                line: node.loc.start.line,
+                module: binding.specifier,
+                member,
+                suggestion: 'Check the API in the module\'s documentation or typings; AI assistants often invent plausible method names'
+              });
+            };
+
+            for (const binding of bindings) {
+              binding.surface = await surfaces.get(binding.specifier, fromDir);
+              const surface = binding.surface;
+              if (!surface || binding.kind !== 'named') continue;
+
+              const available = new Set([...surface.exports, ...(surface.defaultMembers || [])]);
+              report(binding, binding.imported, binding.node, available, `'${binding.specifier}'`);
+            }
+
+            walkAst(ast, {
+              MemberExpression: (node, ancestors) => {
+                const parent = ancestors[ancestors.length - 1];
+                // Writes, typeof checks and optional chaining are how code probes for APIs that may be missing
+                if (node.optional || parent?.optional && (parent.object === node || parent.callee === node)) return;
+                if (parent?.type === 'AssignmentExpression' && parent.left === node) return;
+                if (parent?.type === 'UnaryExpression' && parent.operator === 'typeof') return;
+
+                const member = getPropertyName(node);
+                if (!member || node.computed) return;
+
+                if (node.object.type === 'Identifier' && owners.has(node.object)) {
+                  const binding = owners.get(node.object);
+                  const surface = binding.surface;
+                  if (!surface) return;
+
+                  let available;
+                  if (binding.kind === 'named') {
+                    available = surface.nested.get(binding.imported);
+                  } else if (binding.kind === 'namespace') {
+                    available = surface.defaultMembers ? new Set([...surface.exports, ...surface.defaultMembers]) : surface.exports;
+                  } else {
+                    available = surface.defaultMembers;
+                  }
+                  const owner = binding.kind === 'named' ? `'${binding.imported}' from '${binding.specifier}'` : `'${binding.specifier}'`;
+                  if (available) report(binding, member, node.property, available, owner);
+                  return;
+                }
+
+                // One level deeper for namespaces such as fs.promises
+                const inner = node.object;
+                if (inner.type === 'MemberExpression' && inner.object.type === 'Identifier' && owners.has(inner.object)) {
+                  const binding = owners.get(inner.object);
+                  const namespace = getPropertyName(inner);
+                  const available = binding.kind !== 'named' && namespace && binding.surface?.nested.get(namespace);
+                  if (available) report(binding, member, node.property, available, `'${binding.specifier}'.${namespace}`);
+                }
+              }
+            });
+
+            return violations;
+          }
+        },
+
         'consistent-naming': {
           description: 'AI-generated code should follow project naming conventions',
           severity: 'medium',
-          check: (content, aiSections, filePath, learnedPatterns) => {
+          check: (file, aiSections, filePath, learnedPatterns) => {
             if (!learnedPatterns?.recommendations?.naming) return [];
 
             const violations = [];
@@ -160,9 +262,9 @@ export default class AIAuditor {
             const functionRegex = /(?:function\s+([a-zA-Z_$][a-zA-Z0-9_$]*)|(?:const|let)\s+([a-zA-Z_$][a-zA-Z0-9_$]*)\s*=\s*(?:async\s+)?(?:\([^)]*\)\s*=>|\())/g;
             let match;
 
-            while ((match = functionRegex.exec(content)) !== null) {
+            while ((match = functionRegex.exec(file.content)) !== null) {
               const funcName = match[1] || match[2];
-              const lineNum = content.substring(0, match.index).split('\n').length;
+              const lineNum = file.getLineNumber(match.index);
               
               const isInAISection = aiSections.some(section => 
                 Math.abs(section.line - lineNum) <= 3
@@ -193,7 +295,7 @@ export default class AIAuditor {
         'ai-security-review': {
           description: 'AI-generated code with security implications needs extra review',
           severity: 'high',
-          check: (content, aiSections) => {
+          check: (file, aiSections) => {
             const violations = [];
             const securityPatterns = [
               { pattern: /eval\s*\(/, risk: 'Code execution vulnerability' },
@@ -206,9 +308,9 @@ export default class AIAuditor {
             ];
 
             for (const { pattern, risk } of securityPatterns) {
-              const matches = [...content.matchAll(new RegExp(pattern.source, pattern.flags + 'g'))];
+              const matches = [...file.content.matchAll(new RegExp(pattern.source, pattern.flags + 'g'))];
               for (const match of matches) {
-                const lineNum = content.substring(0, match.index).split('\n').length;
+                const lineNum = file.getLineNumber(match.index);
                 
                 const isInAISection = aiSections.some(section => 
                   Math.abs(section.line - lineNum) <= 3
@@ -232,11 +334,69 @@ export default class AIAuditor {
         }
       },
 
+      dependencies: {
+        'no-hallucinated-packages': {
+          description: 'Imported packages must be Node built-ins or declared in package.json and installed',
+          severity: 'high',
+          check: async (file, aiSections, filePath) => {
+            const graph = await this.getImportGraph();
+            const policy = this.orgRules?.getDependencyPolicy() || new DependencyPolicy();
+            const fromDir = path.dirname(path.resolve(filePath));
+            const project = await policy.findManifest(fromDir);
+            const declared = project ? DependencyPolicy.getDeclaredDependencies(project.manifest) : new Map();
+            // Without node_modules nothing resolves, so only undeclared packages can be judged
+            const installedTree = project && await fs.stat(path.join(project.directory, 'node_modules')).then(() => true, () => false);
+            const violations = [];
+            const reported = new Set();
+
+            for (const entry of graph.extractImports(file, filePath)) {
+              const name = DependencyPolicy.getPackageName(entry.specifier);
+              if (!name || reported.has(name) || policy.isBuiltin(entry.specifier)) continue;
+              if (name === project?.manifest.name || await graph.resolveImport(entry.specifier, path.resolve(filePath))) continue;
+
+              const isDeclared = declared.has(name) || declared.has(`@types/${name.replace(/^@(.+)\//, '$1__')}`);
+              const installed = await policy.findInstalledPackage(name, fromDir);
+              let message;
+              let advice;
+              if (!isDeclared && !installed) {
+                message = `Package '${name}' is not declared in package.json and cannot be resolved; it may not exist`;
+                advice = 'Confirm the package exists on the registry and add it to package.json, or remove the import';
+              } else if (!isDeclared) {
+                message = `Package '${name}' is not declared in package.json; it only resolves through another dependency`;
+                advice = 'Add it to package.json so the version you rely on is pinned';
+              } else if (!installed && installedTree) {
+                message = `Package '${name}' is declared in package.json but is not installed; check it exists before running npm install`;
+                advice = 'Confirm the package exists on the registry, then run npm install';
+              } else {
+                continue;
+              }
+
+              reported.add(name);
+              const suggestions = findClosest(name, [...declared.keys()]);
+              const didYouMean = suggestions.length > 0
+                ? ` (did you mean ${suggestions.map(suggestion => `'${suggestion}'`).join(' or ')}?)`
+                : '';
+              violations.push({
+                rule: 'no-hallucinated-packages',
+                message: message + didYouMean,
+                severity: 'high',
+                line: entry.line,
+                package: name,
+                suggestions,
+                suggestion: advice
+              });
+            }
+
+            return violations;
+          }
+        }
+      },
+
       performance: {
         'ai-performance-review': {
           description: 'AI-generated performance-critical code needs review',
           severity: 'medium',
-          check: (content, aiSections) => {
+          check: (file, aiSections) => {
             const violations = [];
             const performancePatterns = [
               { pattern: /for\s*\([^)]*\)\s*\{[\s\S]*?for\s*\([^)]*\)/, issue: 'Nested loops' },
@@ -247,9 +407,9 @@ export default class AIAuditor {
             ];
 
             for (const { pattern, issue } of performancePatterns) {
-              const matches = [...content.matchAll(new RegExp(pattern.source, pattern.flags))];
+              const matches = [...file.content.matchAll(new RegExp(pattern.source, pattern.flags))];
               for (const match of matches) {
-                const lineNum = content.substring(0, match.index).split('\n').length;
+                const lineNum = file.getLineNumber(match.index);
                 
                 const isInAISection = aiSections.some(section => 
                   Math.abs(section.line - lineNum) <= 5
@@ -275,9 +435,13 @@ export default class AIAuditor {
     };
   }
 
-  async auditAICode(content, filePath, learnedPatterns = null) {
+  async auditAICode(content, filePath, learnedPatterns = null, options = {}) {
+    const { applySuppressions = true } = options;
+    const file = toFileContext(content, filePath);
+
     try {
-      const detection = await this.detector.detectAICode(content, filePath);
+      // Callers that already ran detection on this file pass it in rather than paying for a second model call
+      const detection = options.detection || await this.detector.detectAICode(file, filePath);
       
       if (!detection.isLikelyAI) {
         return {
@@ -296,7 +460,7 @@ export default class AIAuditor {
       for (const [category, rules] of Object.entries(this.aiCodeRules)) {
         for (const [ruleId, rule] of Object.entries(rules)) {
           try {
-            const ruleViolations = rule.check(content, detection.sections, filePath, learnedPatterns);
+            const ruleViolations = await rule.check(file, detection.sections, filePath, learnedPatterns);
             violations.push(...ruleViolations.map(v => ({ ...v, category })));
           } catch (error) {
             logger.warn(`Error applying rule ${ruleId}: ${error.message}`);
@@ -307,10 +471,15 @@ export default class AIAuditor {
       recommendations.push(...this.generateAIRecommendations(detection, violations));
 
       if (this.orgRules) {
-        const orgViolations = await this.applyOrganizationalRules(content, filePath, detection.sections);
+        const orgViolations = await this.applyOrganizationalRules(file, filePath, detection.sections);
         violations.push(...orgViolations);
       }
 
+      if (applySuppressions) {
+        const kept = InlineSuppressions.parse(file, filePath).filter(violations);
+        violations.splice(0, violations.length, ...kept);
+      }
+
       return {
         filePath,
         timestamp: new Date().toISOString(),
@@ -329,11 +498,11 @@ export default class AIAuditor {
   }
 
   async applyOrganizationalRules(content, filePath, aiSections) {
+    const { lines } = toFileContext(content, filePath);
     const violations = [];
     
     
     for (const section of aiSections) {
-      const lines = content.split('\n');
       const sectionContent = lines.slice(Math.max(0, section.line - 5), section.line + 5).join('\n');
       
       if (/function|const.*=.*=>/.test(sectionContent)) {
@@ -353,6 +522,22 @@ export default class AIAuditor {
     return violations;
   }
 
+  getExportSurface() {
+    if (!this.exportSurface) {
+      this.exportSurface = new ExportSurface({ dependencyPolicy: this.orgRules?.getDependencyPolicy() });
+    }
+    return this.exportSurface;
+  }
+
+  getImportGraph() {
+    // Share the rule engine's graph so aliases from manasx-rules.json resolve too
+    if (this.orgRules) return this.orgRules.getImportGraph();
+    if (!this.importGraph) {
+      this.importGraph = ImportGraph.create();
+    }
+    return this.importGraph;
+  }
+
   generateAIRecommendations(detection, violations) {
     const recommendations = [];
 
@@ -368,6 +553,14 @@ export default class AIAuditor {
       recommendations.push('Security-related AI code detected. Mandatory security team review required.');
     }
 
+    if (violations.some(v => v.rule === 'no-hallucinated-packages')) {
+      recommendations.push('AI-generated imports reference undeclared packages. Verify each one exists before installing it.');
+    }
+
+    if (violations.some(v => v.rule === 'no-hallucinated-apis')) {
+      recommendations.push('AI-generated code uses APIs that do not exist. Check each flagged member against the module documentation.');
+    }
+
     if (violations.some(v => v.rule === 'require-unit-tests')) {
       recommendations.push('Create comprehensive unit tests for AI-generated functions.');
     }
@@ -464,11 +657,11 @@ export default class AIAuditor {
 
   async auditDirectory(directory, options = {}) {
     const results = [];
-    const files = await this.detector.findFiles(directory, options.extensions || ['.js', '.ts', '.jsx', '.tsx']);
+    const files = await this.detector.fileDiscovery.find(directory, { extensions: options.extensions });
     
     for (const filePath of files) {
       try {
-        const content = await require('fs/promises').readFile(filePath, 'utf-8');
+        const content = await fs.readFile(filePath, 'utf-8');
         const audit = await this.auditAICode(content, filePath, options.learnedPatterns);
         results.push(audit);
         
@@ -1,8 +1,13 @@
+import fs from 'fs/promises';
 import { callAiModelOnCode } from '../utils/AiModel.js';
 import { logger } from '../utils/logger.js';
+import { toFileContext } from '../utils/fileContext.js';
+import { FileDiscovery } from '../utils/fileDiscovery.js';
 
 export default class AIDetector {
-  constructor() {
+  constructor(options = {}) {
+    this.fileDiscovery = options.fileDiscovery || new FileDiscovery();
+    this.cache = options.cache || null;
     this.patterns = this.initializeDetectionPatterns();
     this.confidence = {
       HIGH: 0.8,
@@ -76,9 +81,10 @@ export default class AIDetector {
     };
 
     try {
-      const patternResults = this.analyzePatterns(content);
+      const file = toFileContext(content, filePath);
+      const patternResults = this.analyzePatterns(file);
       
-      const aiAnalysis = await this.performAIAnalysis(content, filePath);
+      const aiAnalysis = await this.performAIAnalysis(file.content, filePath);
       
       result.indicators = [...patternResults.indicators, ...aiAnalysis.indicators];
       result.sections = [...patternResults.sections, ...aiAnalysis.sections];
@@ -96,12 +102,12 @@ export default class AIDetector {
   }
 
   analyzePatterns(content) {
+    const file = toFileContext(content);
     const indicators = [];
     const sections = [];
-    const lines = content.split('\n');
 
     for (const pattern of this.patterns.comments) {
-      const matches = content.match(pattern);
+      const matches = file.content.match(pattern);
       if (matches) {
         indicators.push({
           type: 'comment_pattern',
@@ -115,7 +121,7 @@ export default class AIDetector {
     const functionRegex = /(?:function\s+([a-zA-Z_$][a-zA-Z0-9_$]*)|(?:const|let)\s+([a-zA-Z_$][a-zA-Z0-9_$]*)\s*=\s*(?:async\s+)?(?:\([^)]*\)\s*=>|function))/g;
     let match;
     
-    while ((match = functionRegex.exec(content)) !== null) {
+    while ((match = functionRegex.exec(file.content)) !== null) {
       const funcName = match[1] || match[2];
       if (funcName) {
         for (const pattern of this.patterns.naming) {
@@ -125,7 +131,7 @@ export default class AIDetector {
               description: 'AI-typical function naming detected',
               confidence: 0.4,
               evidence: funcName,
-              line: this.getLineNumber(content, match.index)
+              line: file.getLineNumber(match.index)
             });
             break;
           }
@@ -134,66 +140,66 @@ export default class AIDetector {
     }
 
     for (const pattern of this.patterns.structure) {
-      const matches = [...content.matchAll(new RegExp(pattern.source, 'g'))];
+      const matches = [...file.content.matchAll(new RegExp(pattern.source, 'g'))];
       for (const match of matches) {
         indicators.push({
           type: 'structure_pattern',
           description: 'AI-typical code structure detected',
           confidence: 0.5,
           evidence: match[0].substring(0, 100),
-          line: this.getLineNumber(content, match.index)
+          line: file.getLineNumber(match.index)
         });
       }
     }
 
     for (const pattern of this.patterns.imports) {
-      const matches = [...content.matchAll(new RegExp(pattern.source, 'g'))];
+      const matches = [...file.content.matchAll(new RegExp(pattern.source, 'g'))];
       for (const match of matches) {
         indicators.push({
           type: 'import_pattern',
           description: 'AI-typical import pattern detected',
           confidence: 0.3,
           evidence: match[0],
-          line: this.getLineNumber(content, match.index)
+          line: file.getLineNumber(match.index)
         });
       }
     }
 
     for (const pattern of this.patterns.errorHandling) {
-      const matches = [...content.matchAll(new RegExp(pattern.source, 'g'))];
+      const matches = [...file.content.matchAll(new RegExp(pattern.source, 'g'))];
       for (const match of matches) {
         indicators.push({
           type: 'error_handling_pattern',
           description: 'AI-typical error handling detected',
           confidence: 0.7,
           evidence: match[0].substring(0, 150),
-          line: this.getLineNumber(content, match.index)
+          line: file.getLineNumber(match.index)
         });
       }
     }
 
     for (const pattern of this.patterns.documentation) {
-      const matches = [...content.matchAll(new RegExp(pattern.source, 'g'))];
+      const matches = [...file.content.matchAll(new RegExp(pattern.source, 'g'))];
       for (const match of matches) {
         indicators.push({
           type: 'documentation_pattern',
           description: 'AI-typical documentation detected',
           confidence: 0.5,
           evidence: match[0].substring(0, 100),
-          line: this.getLineNumber(content, match.index)
+          line: file.getLineNumber(match.index)
         });
       }
     }
 
     for (const pattern of this.patterns.aiSignatures) {
-      const matches = [...content.matchAll(new RegExp(pattern.source, 'g'))];
+      const matches = [...file.content.matchAll(new RegExp(pattern.source, 'g'))];
       for (const match of matches) {
         indicators.push({
           type: 'ai_signature',
           description: 'Strong AI code signature detected',
           confidence: 0.8,
           evidence: match[0].substring(0, 100),
-          line: this.getLineNumber(content, match.index)
+          line: file.getLineNumber(match.index)
         });
       }
     }
@@ -233,7 +239,7 @@ ${content}
 \`\`\`
 `;
 
-      const response = await callAiModelOnCode(content, filePath);
+      const response = await callAiModelOnCode(content, filePath, { cache: this.cache });
       
       if (typeof response === 'string') {
         try {
@@ -308,20 +314,16 @@ ${content}
     }
   }
 
-  getLineNumber(content, index) {
-    return content.substring(0, index).split('\n').length;
-  }
-
   async analyzeDirectory(directory, options = {}) {
     const { extensions = ['.js', '.ts', '.jsx', '.tsx'] } = options;
     const results = [];
 
     try {
-      const files = await this.findFiles(directory, extensions);
+      const files = await this.fileDiscovery.find(directory, { extensions });
       
       for (const filePath of files) {
         try {
-          const content = await require('fs/promises').readFile(filePath, 'utf-8');
+          const content = await fs.readFile(filePath, 'utf-8');
           const analysis = await this.detectAICode(content, filePath);
           results.push(analysis);
           
@@ -344,41 +346,4 @@ ${content}
       results: results.sort((a, b) => b.confidence - a.confidence)
     };
   }
-
-  async findFiles(directory, extensions) {
-    const fs = require('fs/promises');
-    const path = require('path');
-    const files = [];
-    const stack = [directory];
-
-    while (stack.length > 0) {
-      const currentDir = stack.pop();
-      
-      try {
-        const entries = await fs.readdir(currentDir, { withFileTypes: true });
-        
-        for (const entry of entries) {
-          const fullPath = path.join(currentDir, entry.name);
-          
-          if (entry.isDirectory() && !this.shouldIgnoreDirectory(entry.name)) {
-            stack.push(fullPath);
-          } else if (entry.isFile()) {
-            const ext = path.extname(entry.name);
-            if (extensions.includes(ext)) {
-              files.push(fullPath);
-            }
-          }
-        }
-      } catch (error) {
-        logger.warn(`Skipping directory ${currentDir}: ${error.message}`);
-      }
-    }
-
-    return files;
-  }
-
-  shouldIgnoreDirectory(name) {
-    const ignorePatterns = ['node_modules', '.git', 'dist', 'build', '.next', '.nuxt', 'coverage'];
-    return ignorePatterns.includes(name);
-  }
 }
\ No newline at end of file
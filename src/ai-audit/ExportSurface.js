@@ -0,0 +1,157 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+import { isRelativeSpecifier } from '../utils/moduleResolver.js';
+import DependencyPolicy from '../governance/DependencyPolicy.js';
+
+const execFileAsync = promisify(execFile);
+const SANDBOX_TIMEOUT = 5000;
+const MAX_BUFFER = 16 * 1024 * 1024;
+const PERMISSION_FLAG = ['--permission', '--experimental-permission'].find(flag => process.allowedNodeEnvironmentFlags.has(flag));
+
+const DTS_DECLARATION = /export\s+(?:declare\s+)?(?:abstract\s+)?(?:async\s+)?(?:function\*?|const|let|var|class|interface|type|enum|namespace)\s+([A-Za-z_$][\w$]*)/g;
+const DTS_EXPORT_LIST = /export\s+(?:type\s+)?\{([^}]*)\}/g;
+const DTS_EXPORT_ALL = /export\s+\*\s+(?:as\s+([A-Za-z_$][\w$]*)\s+)?from\s+['"]([^'"]+)['"]/g;
+const DTS_DEFAULT = /export\s+default\b|export\s*\{[^}]*\bas\s+default\b/;
+// These shapes describe the module as a whole, which a list of export names cannot capture
+const DTS_UNSUPPORTED = /export\s*=|export\s+as\s+namespace|declare\s+module\s+['"]/;
+
+// Runs both in this process, for Node built-ins, and as source inside the sandbox, so it must not use outer scope
+function describeModule(namespace) {
+  const collect = (value) => {
+    const names = new Set();
+    for (let current = value; current !== null && current !== undefined; current = Object.getPrototypeOf(current)) {
+      Object.getOwnPropertyNames(current).forEach(name => names.add(name));
+    }
+    return [...names];
+  };
+  const isObject = (value) => value !== null && (typeof value === 'object' || typeof value === 'function');
+  const nested = {};
+  const addNested = (source) => {
+    for (const name of Object.getOwnPropertyNames(source)) {
+      try {
+        const value = source[name];
+        if (value !== null && typeof value === 'object' && !nested[name]) nested[name] = collect(value);
+      } catch {
+        // Getters that throw are not part of a usable surface
+      }
+    }
+  };
+
+  addNested(namespace);
+  if (isObject(namespace.default)) addNested(namespace.default);
+  return {
+    exports: Object.keys(namespace),
+    defaultMembers: isObject(namespace.default) ? collect(namespace.default) : null,
+    nested
+  };
+}
+
+export default class ExportSurface {
+  constructor(options = {}) {
+    this.policy = options.dependencyPolicy || new DependencyPolicy();
+    this.runtime = options.runtime !== false;
+    this.surfaces = new Map();
+  }
+
+  async get(specifier, fromDir) {
+    if (isRelativeSpecifier(specifier)) return null;
+
+    const builtin = this.policy.isBuiltin(specifier);
+    const name = DependencyPolicy.getPackageName(specifier);
+    const installed = builtin ? null : await this.policy.findInstalledPackage(name, fromDir);
+    if (!builtin && !installed) return null;
+
+    // One surface per installed copy and version, however many files import it
+    const key = builtin ? specifier.replace(/^node:/, '') : `${installed.directory}@${installed.manifest.version}\0${specifier}`;
+    if (!this.surfaces.has(key)) {
+      this.surfaces.set(key, this.load(specifier, builtin, installed, fromDir).catch(() => null));
+    }
+    return this.surfaces.get(key);
+  }
+
+  async load(specifier, builtin, installed, fromDir) {
+    if (builtin) {
+      // Node's own modules have no install scripts or side effects worth isolating
+      return this.toSurface(describeModule(await import(specifier.startsWith('node:') ? specifier : `node:${specifier}`)), 'runtime');
+    }
+
+    // The runtime surface is exact and includes members of default exports; typings cover packages that cannot load here
+    if (this.runtime) {
+      const surface = await this.loadInSandbox(specifier, fromDir).catch(() => null);
+      if (surface) return surface;
+    }
+    return specifier === installed.name ? this.readTypings(installed, fromDir) : null;
+  }
+
+  async loadInSandbox(specifier, fromDir) {
+    if (!PERMISSION_FLAG) return null;
+
+    // Importing runs package code: deny writes, child processes and workers, strip the environment and bound the time
+    const script = `${describeModule.toString()}\nprocess.stdout.write(JSON.stringify(describeModule(await import(process.argv[1]))));`;
+    const { stdout } = await execFileAsync(process.execPath, [
+      PERMISSION_FLAG,
+      '--allow-fs-read=*',
+      '--no-warnings',
+      '--input-type=module',
+      '-e',
+      script,
+      specifier
+    ], {
+      cwd: fromDir,
+      env: { PATH: process.env.PATH, NODE_ENV: 'production' },
+      timeout: SANDBOX_TIMEOUT,
+      killSignal: 'SIGKILL',
+      maxBuffer: MAX_BUFFER,
+      windowsHide: true
+    });
+    return this.toSurface(JSON.parse(stdout), 'runtime');
+  }
+
+  async readTypings(installed, fromDir) {
+    const entry = await this.policy.findTypings(installed, fromDir);
+    if (!entry) return null;
+
+    const exports = new Set();
+    let hasDefault = false;
+    const visit = async (file, seen) => {
+      if (seen.has(file)) return true;
+      seen.add(file);
+
+      const content = (await fs.readFile(file, 'utf-8')).replace(/\/\*[\s\S]*?\*\/|\/\/.*$/gm, '');
+      if (DTS_UNSUPPORTED.test(content)) return false;
+      if (DTS_DEFAULT.test(content)) hasDefault = true;
+
+      for (const match of content.matchAll(DTS_DECLARATION)) exports.add(match[1]);
+      for (const match of content.matchAll(DTS_EXPORT_LIST)) {
+        match[1].split(',').map(item => item.trim().split(/\s+as\s+/).pop().replace(/^type\s+/, '')).filter(Boolean).forEach(name => exports.add(name));
+      }
+      for (const match of content.matchAll(DTS_EXPORT_ALL)) {
+        if (match[1]) {
+          exports.add(match[1]);
+          continue;
+        }
+        if (!isRelativeSpecifier(match[2])) return false;
+        const base = path.resolve(path.dirname(file), match[2]).replace(/\.(?:d\.ts|js|mjs|cjs|ts)$/, '');
+        const target = await this.policy.findFile([`${base}.d.ts`, path.join(base, 'index.d.ts')]);
+        if (!target || !await visit(target, seen)) return false;
+      }
+      return true;
+    };
+
+    // Typings that cannot be read completely would report real members as missing, so fall back to the runtime
+    if (!await visit(entry, new Set())) return null;
+    if (hasDefault) exports.add('default');
+    return this.toSurface({ exports: [...exports], defaultMembers: null, nested: {} }, 'typings');
+  }
+
+  toSurface(description, source) {
+    return {
+      source,
+      exports: new Set(description.exports),
+      defaultMembers: description.defaultMembers ? new Set(description.defaultMembers) : null,
+      nested: new Map(Object.entries(description.nested).map(([name, members]) => [name, new Set(members)]))
+    };
+  }
+}
@@ -1,18 +1,11 @@
 import fs from 'fs';
 import path from 'path';
 import { callAiModelOnCode } from '../utils/AiModel.js';
+import { FileDiscovery } from '../utils/fileDiscovery.js';
 
 async function getAllJSFiles(dir) {
-  let files = [];
-  for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
-    const res = path.resolve(dir, entry.name);
-    if (entry.isDirectory()) {
-      files = files.concat(await getAllJSFiles(res));
-    } else if (entry.name.endsWith('.js')) {
-      files.push(res);
-    }
-  }
-  return files;
+  const files = await new FileDiscovery().find(dir, { extensions: ['.js'] });
+  return files.map(file => path.resolve(file));
 }
 
 export default class SimpleBestPracticeAnalyzer {
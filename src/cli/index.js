@@ -1,6 +1,8 @@
 import { Command } from 'commander';
 import pkg from '../../package.json' with { type: 'json' };
-import { runDebugAnalysis, runPerformanceAnalysis, runPatternLearning, runDriftDetection, runRuleInit, runRuleValidation, runComplianceCheck, runAIAudit, runAIDetection, runContinuousWatch, showMonitoringStatus, runMCPServer, runGuidedSetup } from '../index.js';
+import { runDebugAnalysis, runPerformanceAnalysis, runPatternLearning, runDriftDetection, runRuleInit, runRuleValidation, runComplianceCheck, runSuppressionReport, runAutoFix, runImportGraph, runCycleDetection, runDependencyAudit, runSecretsScan, runHooksInstall, runHooksUninstall, runHooksStatus, runCommitMessageCheck, runAIAudit, runAIDetection, runContinuousWatch, showMonitoringStatus, runCacheClear, runMCPServer, runGuidedSetup } from '../index.js';
+import { DEFAULT_BASELINE_PATH } from '../governance/Baseline.js';
+import { DEFAULT_ALLOWLIST_PATH } from '../governance/SecretScanner.js';
 
 const program = new Command();
 
@@ -40,16 +42,28 @@ program
   .description('Learn patterns from existing codebase')
   .option('-o, --output <file>', 'Save learned patterns to file', 'patterns.json')
   .option('--max-files <number>', 'Maximum files to analyze', '1000')
+  .option('-r, --rules <file>', 'Rules configuration file with include/exclude globs', 'manasx-rules.json')
+  .option('-j, --jobs <number>', 'Worker threads to analyze files with (default: number of CPUs)')
+  .option('--no-cache', 'Analyze every file again instead of reusing results from .manasx/cache')
   .action((directory, options) => {
     runPatternLearning(directory || '.', options);
   });
 
 program
-  .command('drift <files...>')
+  .command('drift [files...]')
   .description('Check for pattern drift in files')
   .option('-p, --patterns <file>', 'Use patterns from file', 'patterns.json')
+  .option('-r, --rules <file>', 'Rules configuration file with the dependency policy', 'manasx-rules.json')
   .option('-t, --threshold <number>', 'Compliance threshold (0-1)', '0.7')
   .option('--include-info', 'Include informational violations')
+  .option('--since <ref>', 'Only analyze files changed since this git ref (e.g. origin/main)')
+  .option('--staged', 'Only analyze staged files, reading their content from the git index')
+  .option('--changed-lines', 'With --since/--staged, only report violations on changed lines')
+  .option('--baseline [file]', `Only report violations missing from the baseline (default: ${DEFAULT_BASELINE_PATH})`)
+  .option('--update-baseline', 'Remove fixed violations from the baseline; never adds new ones')
+  .option('--fail-on <severity>', 'Exit with code 1 on violations at or above this severity (low|medium|high|critical)')
+  .option('--max-violations <number>', 'Exit with code 1 when more violations than this are found')
+  .option('--min-score <number>', 'Exit with code 1 when the score is below this value')
   .action((files, options) => {
     runDriftDetection(files, options);
   });
@@ -59,11 +73,43 @@ program
   .description('Run full compliance check against organizational rules')
   .option('-r, --rules <file>', 'Rules configuration file', 'manasx-rules.json')
   .option('-p, --patterns <file>', 'Learned patterns file', 'patterns.json')
+  .option('-j, --jobs <number>', 'Worker threads to analyze files with (default: number of CPUs)')
+  .option('--no-cache', 'Analyze every file again instead of reusing results from .manasx/cache')
   .option('--format <format>', 'Output format (console|json|html)', 'console')
+  .option('--since <ref>', 'Only analyze files changed since this git ref (e.g. origin/main)')
+  .option('--staged', 'Only analyze staged files, reading their content from the git index')
+  .option('--changed-lines', 'With --since/--staged, only report violations on changed lines')
+  .option('--baseline [file]', `Only report violations missing from the baseline (default: ${DEFAULT_BASELINE_PATH})`)
+  .option('--update-baseline', 'Remove fixed violations from the baseline; never adds new ones')
+  .option('--fail-on <severity>', 'Exit with code 1 on violations at or above this severity (low|medium|high|critical)')
+  .option('--max-violations <number>', 'Exit with code 1 when more violations than this are found')
+  .option('--min-score <number>', 'Exit with code 1 when the score is below this value')
   .action((directory, options) => {
     runComplianceCheck(directory || '.', options);
   });
 
+program
+  .command('suppressions [directory]')
+  .description('List inline manasx-disable comments and flag unused or unjustified ones')
+  .option('-r, --rules <file>', 'Rules configuration file', 'manasx-rules.json')
+  .option('-p, --patterns <file>', 'Learned patterns file', 'patterns.json')
+  .option('--no-ai-audit', 'Skip AI audit findings when checking suppression usage')
+  .option('--format <format>', 'Output format (console|json)', 'console')
+  .action((directory, options) => {
+    runSuppressionReport(directory || '.', options);
+  });
+
+program
+  .command('fix [paths...]')
+  .description('Apply safe automatic fixes for naming drift, sync fs calls and review markers')
+  .option('-r, --rules <file>', 'Rules configuration file', 'manasx-rules.json')
+  .option('-p, --patterns <file>', 'Learned patterns file', 'patterns.json')
+  .option('--dry-run', 'Print a unified diff of the fixes without writing files')
+  .option('--reviewer <name>', 'Add a "Reviewed by" marker to files flagged by the AI audit')
+  .action((paths, options) => {
+    runAutoFix(paths, options);
+  });
+
 program
   .command('rules')
   .description('Rule management commands')
@@ -79,17 +125,126 @@ program
     new Command('validate')
       .description('Validate rule configuration')
       .option('-f, --file <file>', 'Configuration file', 'manasx-rules.json')
+      .option('--print-config', 'Print the fully resolved configuration after applying extends')
       .action((options) => {
         runRuleValidation(options);
       })
   );
 
 program
-  .command('ai-audit <files...>')
+  .command('graph [directory]')
+  .description('Export the import graph with architecture layers for review')
+  .option('-r, --rules <file>', 'Rules configuration file', 'manasx-rules.json')
+  .option('--format <format>', 'Output format (dot|json)', 'dot')
+  .option('-o, --output <file>', 'Write the graph to a file instead of stdout')
+  .action((directory, options) => {
+    runImportGraph(directory || '.', options);
+  });
+
+program
+  .command('cycles [directory]')
+  .description('Find circular imports in the resolved import graph')
+  .option('-r, --rules <file>', 'Rules configuration file', 'manasx-rules.json')
+  .option('--format <format>', 'Output format (console|json)', 'console')
+  .option('--fail-on <severity>', 'Exit with code 1 when cycles at or above this severity are found')
+  .option('--max-violations <number>', 'Exit with code 1 when more cycles than this are found')
+  .action((directory, options) => {
+    runCycleDetection(directory || '.', options);
+  });
+
+program
+  .command('secrets')
+  .description('Secret and credential scanning commands')
+  .addCommand(
+    new Command('scan')
+      .description('Scan code and .env files that are not git-ignored for hardcoded secrets')
+      .argument('[paths...]', 'Files or directories to scan (default: .)')
+      .option('--allowlist <file>', 'Allowlist of test fixtures and reviewed secrets', DEFAULT_ALLOWLIST_PATH)
+      .option('-r, --rules <file>', 'Rules configuration file with include/exclude globs', 'manasx-rules.json')
+      .option('--min-entropy <number>', 'Minimum Shannon entropy for values assigned to secret-like names')
+      .option('--format <format>', 'Output format (console|json)', 'console')
+      .option('--fail-on <severity>', 'Exit with code 1 on findings at or above this severity', 'critical')
+      .option('--max-violations <number>', 'Exit with code 1 when more secrets than this are found')
+      .action((paths, options) => {
+        runSecretsScan(paths, options);
+      })
+  );
+
+program
+  .command('deps')
+  .description('Dependency policy commands')
+  .addCommand(
+    new Command('audit')
+      .description('Check package.json and installed packages against the dependency policy, offline')
+      .argument('[directory]', 'Project directory containing package.json (default: .)')
+      .option('-r, --rules <file>', 'Rules configuration file', 'manasx-rules.json')
+      .option('--format <format>', 'Output format (console|json)', 'console')
+      .option('--fail-on <severity>', 'Exit with code 1 on policy issues at or above this severity')
+      .option('--max-violations <number>', 'Exit with code 1 when more policy issues than this are found')
+      .action((directory, options) => {
+        runDependencyAudit(directory || '.', options);
+      })
+  );
+
+program
+  .command('hooks')
+  .description('Git hook management commands')
+  .addCommand(
+    new Command('install')
+      .description('Install pre-commit and commit-msg hooks, chaining any existing hooks')
+      .argument('[hooks...]', 'Hooks to install (pre-commit, commit-msg)')
+      .option('--fail-on <severity>', 'Block commits with staged violations at or above this severity', 'high')
+      .option('--max-violations <number>', 'Block commits with more staged violations than this')
+      .option('--changed-lines', 'Only check violations on staged lines')
+      .option('--no-ai-audit', 'Only run rule checks in the pre-commit hook')
+      .option('--threshold <number>', 'AI detection confidence that requires a disclosure trailer (0-1)', '0.6')
+      .option('--trailer <name>', 'Commit message trailer that discloses AI assistance', 'AI-Assisted')
+      .action((hooks, options) => {
+        runHooksInstall(hooks, options);
+      })
+  )
+  .addCommand(
+    new Command('uninstall')
+      .description('Remove ManasX hooks and restore the original hooks')
+      .argument('[hooks...]', 'Hooks to uninstall (pre-commit, commit-msg)')
+      .action((hooks) => {
+        runHooksUninstall(hooks);
+      })
+  )
+  .addCommand(
+    new Command('status')
+      .description('Show which ManasX hooks are installed')
+      .action(() => {
+        runHooksStatus();
+      })
+  )
+  .addCommand(
+    new Command('check-commit-msg')
+      .description('Check a commit message for the AI disclosure trailer (used by the commit-msg hook)')
+      .argument('<file>', 'Commit message file')
+      .option('--threshold <number>', 'AI detection confidence threshold (0-1)', '0.6')
+      .option('--trailer <name>', 'Required trailer name', 'AI-Assisted')
+      .action((file, options) => {
+        runCommitMessageCheck(file, options);
+      }),
+    { hidden: true }
+  );
+
+program
+  .command('ai-audit [files...]')
   .description('Audit AI-generated code against organizational standards')
   .option('-p, --patterns <file>', 'Learned patterns file', 'patterns.json')
   .option('-r, --rules <file>', 'Rules configuration file', 'manasx-rules.json')
+  .option('--no-cache', 'Analyze every file and call the AI model again instead of reusing results from .manasx/cache')
   .option('--format <format>', 'Output format (console|json)', 'console')
+  .option('--since <ref>', 'Only analyze files changed since this git ref (e.g. origin/main)')
+  .option('--staged', 'Only analyze staged files, reading their content from the git index')
+  .option('--changed-lines', 'With --since/--staged, only report violations on changed lines')
+  .option('--baseline [file]', `Only report violations missing from the baseline (default: ${DEFAULT_BASELINE_PATH})`)
+  .option('--update-baseline', 'Remove fixed violations from the baseline; never adds new ones')
+  .option('--fail-on <severity>', 'Exit with code 1 on violations at or above this severity (low|medium|high|critical)')
+  .option('--max-violations <number>', 'Exit with code 1 when more violations than this are found')
+  .option('--min-score <number>', 'Exit with code 1 when the score is below this value')
   .action((files, options) => {
     runAIAudit(files, options);
   });
@@ -98,7 +253,11 @@ program
   .command('ai-detect <files...>')
   .description('Detect likely AI-generated code patterns')
   .option('--threshold <number>', 'Detection confidence threshold (0-1)', '0.6')
+  .option('--no-cache', 'Call the AI model again instead of reusing responses from .manasx/cache')
   .option('--format <format>', 'Output format (console|json)', 'console')
+  .option('--fail-on <severity>', 'Exit with code 1 on violations at or above this severity (low|medium|high|critical)')
+  .option('--max-violations <number>', 'Exit with code 1 when more violations than this are found')
+  .option('--min-score <number>', 'Exit with code 1 when the score is below this value')
   .action((files, options) => {
     runAIDetection(files, options);
   });
@@ -111,10 +270,14 @@ program
   .option('--no-ai-detection', 'Disable AI code detection')
   .option('--no-drift-detection', 'Disable drift detection')
   .option('--no-rule-checking', 'Disable organizational rule checking')
+  .option('--no-cache', 'Analyze every file again instead of reusing results from .manasx/cache')
   .option('--log-file <file>', 'Log file path', '.manasx/monitor.log')
   .option('--context-log <file>', 'Context log for AI tools', '.manasx/context.log')
   .option('--mcp-port <number>', 'MCP server port', '8765')
   .option('--no-mcp', 'Disable MCP server for AI tool integration')
+  .option('--fail-on <severity>', 'On shutdown, exit with code 1 on violations at or above this severity')
+  .option('--max-violations <number>', 'On shutdown, exit with code 1 when more violations than this are open')
+  .option('--min-score <number>', 'On shutdown, exit with code 1 when the average drift score is below this value')
   .action((directory, options) => {
     runContinuousWatch(directory || '.', options);
   });
@@ -127,14 +290,29 @@ program
   .option('--no-ai-detection', 'Disable AI code detection')
   .option('--no-drift-detection', 'Disable drift detection')
   .option('--no-rule-checking', 'Disable organizational rule checking')
+  .option('--no-cache', 'Analyze every file again instead of reusing results from .manasx/cache')
   .option('--log-file <file>', 'Log file path', '.manasx/monitor.log')
   .option('--context-log <file>', 'Context log for AI tools', '.manasx/context.log')
   .option('--mcp-port <number>', 'MCP server port', '8765')
   .option('--no-mcp', 'Disable MCP server for AI tool integration')
+  .option('--fail-on <severity>', 'On shutdown, exit with code 1 on violations at or above this severity')
+  .option('--max-violations <number>', 'On shutdown, exit with code 1 when more violations than this are open')
+  .option('--min-score <number>', 'On shutdown, exit with code 1 when the average drift score is below this value')
   .action((options) => {
     runContinuousWatch('.', options);
   });
 
+program
+  .command('cache')
+  .description('Analysis cache commands')
+  .addCommand(
+    new Command('clear')
+      .description('Remove cached analysis results and AI model responses from .manasx/cache')
+      .action(() => {
+        runCacheClear();
+      })
+  );
+
 program
   .command('status')
   .description('Show monitoring status and recent governance activity')
@@ -0,0 +1,79 @@
+import path from 'path';
+import { matchesGlob, toPosixPath } from '../utils/globMatcher.js';
+
+export default class ArchitectureLayers {
+  constructor(layers = {}, graph) {
+    this.layers = layers;
+    this.graph = graph;
+  }
+
+  hasLayers() {
+    return Object.keys(this.layers).length > 0;
+  }
+
+  getLayer(filePath) {
+    const relativePath = toPosixPath(path.relative(process.cwd(), path.resolve(filePath)));
+    for (const [name, layer] of Object.entries(this.layers)) {
+      if (matchesGlob(relativePath, layer.files)) return name;
+    }
+    return null;
+  }
+
+  isAllowed(fromLayer, toLayer) {
+    if (fromLayer === toLayer) return true;
+
+    const layer = this.layers[fromLayer] || {};
+    if (layer.deny?.includes(toLayer)) return false;
+    return !layer.allow || layer.allow.includes(toLayer);
+  }
+
+  validate() {
+    const errors = [];
+    for (const [name, layer] of Object.entries(this.layers)) {
+      for (const key of ['allow', 'deny']) {
+        (layer[key] || []).forEach((target, index) => {
+          if (this.layers[target]) return;
+          const pointer = name.replace(/~/g, '~0').replace(/\//g, '~1');
+          errors.push({ path: `/architecture/layers/${pointer}/${key}/${index}`, message: `Layer '${name}' references unknown layer '${target}'` });
+        });
+      }
+    }
+    return errors;
+  }
+
+  async findViolations(filePath, content = null) {
+    const fromLayer = this.getLayer(filePath);
+    if (!fromLayer) return [];
+
+    const start = content === null ? await this.graph.getNode(filePath) : await this.graph.addFile(filePath, content);
+    const reported = new Set();
+    const violations = [];
+
+    for (const edge of start.edges) {
+      // Walk through files that belong to no layer, such as shared barrels, to find the layer the import really reaches
+      const queue = [[start.file, edge.target]];
+      const visited = new Set([start.file]);
+
+      while (queue.length > 0) {
+        const chain = queue.shift();
+        const file = chain[chain.length - 1];
+        if (visited.has(file)) continue;
+        visited.add(file);
+
+        const toLayer = this.getLayer(file);
+        if (toLayer) {
+          if (!this.isAllowed(fromLayer, toLayer) && !reported.has(file)) {
+            reported.add(file);
+            violations.push({ ...edge, fromLayer, toLayer, chain: chain.map(item => this.graph.relative(item)) });
+          }
+          continue;
+        }
+
+        const node = await this.graph.getNode(file);
+        node.edges.forEach(next => queue.push([...chain, next.target]));
+      }
+    }
+
+    return violations;
+  }
+}
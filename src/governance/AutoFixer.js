@@ -0,0 +1,286 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { createTwoFilesPatch } from 'diff';
+import DriftDetector from './DriftDetector.js';
+import InlineSuppressions from './InlineSuppressions.js';
+import AIAuditor from '../ai-audit/AIAuditor.js';
+import { parseSource, walkAst, analyzeScopes, getPropertyName } from '../utils/astParser.js';
+import { logger } from '../utils/logger.js';
+
+const SYNC_FS_REPLACEMENTS = {
+  readFileSync: 'readFile',
+  writeFileSync: 'writeFile',
+  appendFileSync: 'appendFile',
+  statSync: 'stat',
+  lstatSync: 'lstat',
+  readdirSync: 'readdir',
+  mkdirSync: 'mkdir',
+  unlinkSync: 'unlink',
+  rmSync: 'rm',
+  renameSync: 'rename',
+  copyFileSync: 'copyFile',
+  accessSync: 'access'
+};
+
+const FS_MODULES = ['fs', 'node:fs'];
+const FUNCTION_TYPES = ['FunctionDeclaration', 'FunctionExpression', 'ArrowFunctionExpression'];
+
+export default class AutoFixer {
+  constructor(options = {}) {
+    this.ruleEngine = options.ruleEngine || null;
+    this.learnedPatterns = options.learnedPatterns || null;
+    this.reviewer = options.reviewer || null;
+    this.driftDetector = this.learnedPatterns ? new DriftDetector(this.learnedPatterns) : null;
+    this.auditor = new AIAuditor();
+  }
+
+  isFixEnabled(ruleId, filePath) {
+    const rule = this.ruleEngine?.getEffectiveRules(filePath).get(ruleId);
+    if (!rule || !rule.enabled) return false;
+    return rule.autofix ?? this.ruleEngine.globalSettings?.autofix ?? false;
+  }
+
+  async fixFile(filePath, options = {}) {
+    const { dryRun = false } = options;
+    const relativePath = path.relative(process.cwd(), filePath);
+    const original = await fs.readFile(filePath, 'utf-8');
+    const result = { file: relativePath, changed: false, fixes: [], diff: '' };
+
+    const ast = parseSource(original, filePath);
+    if (!ast) {
+      result.skipped = 'File could not be parsed as JavaScript';
+      return result;
+    }
+
+    const scopeManager = analyzeScopes(ast);
+    const suppressions = InlineSuppressions.parse(original, filePath, ast);
+    const isSuppressed = (ruleId, line) =>
+      this.ruleEngine?.hasException(relativePath, ruleId) ||
+      suppressions.filter([{ ruleId, line }]).length === 0;
+
+    const edits = [];
+
+    if (this.driftDetector && this.isFixEnabled('naming/camelcase-variables', relativePath)) {
+      const drift = await this.driftDetector.detectDrift(filePath);
+      this.collectNamingFixes(ast, scopeManager, drift.violations, edits, result.fixes);
+    }
+
+    if (this.isFixEnabled('performance/no-sync-fs', relativePath)) {
+      this.collectSyncFsFixes(ast, scopeManager, isSuppressed, edits, result.fixes);
+    }
+
+    let fixed = this.applyEdits(original, edits);
+
+    if (this.reviewer && await this.needsReviewMarker(original, filePath)) {
+      fixed = this.addReviewMarker(fixed);
+      result.fixes.push({ type: 'review-marker', line: 1, message: `Added human review marker for ${this.reviewer}` });
+    }
+
+    if (fixed === original) {
+      return result;
+    }
+
+    // Never write a fix that breaks the file
+    if (!parseSource(fixed, filePath)) {
+      result.fixes = [];
+      result.skipped = 'Fixes produced code that no longer parses and were discarded';
+      return result;
+    }
+
+    result.changed = true;
+    result.diff = createTwoFilesPatch(`a/${relativePath}`, `b/${relativePath}`, original, fixed);
+
+    if (!dryRun) {
+      await fs.writeFile(filePath, fixed);
+    }
+
+    result.verification = await this.verify(filePath, original, fixed, dryRun);
+    return result;
+  }
+
+  async verify(filePath, original, fixed, dryRun) {
+    const countViolations = async (content) => {
+      let count = 0;
+      if (this.ruleEngine) {
+        count += (await this.ruleEngine.applyRules(filePath, content, this.learnedPatterns)).length;
+      }
+      return count;
+    };
+
+    const verification = {
+      ruleViolationsBefore: await countViolations(original),
+      ruleViolationsAfter: await countViolations(fixed)
+    };
+
+    // Drift detection reads from disk, so it can only re-check files that were written
+    if (!dryRun && this.driftDetector) {
+      const drift = await this.driftDetector.detectDrift(filePath);
+      verification.driftScoreAfter = drift.complianceScore;
+    }
+
+    return verification;
+  }
+
+  collectNamingFixes(ast, scopeManager, violations, edits, fixes) {
+    const shorthandIdentifiers = new Set();
+    const exportedNames = new Set();
+
+    walkAst(ast, {
+      Property: (node) => {
+        if (!node.shorthand) return;
+        shorthandIdentifiers.add(node.value.type === 'AssignmentPattern' ? node.value.left : node.value);
+      },
+      ExportNamedDeclaration: (node) => {
+        node.specifiers.forEach(specifier => exportedNames.add(specifier.local.name));
+        if (node.declaration?.id) exportedNames.add(node.declaration.id.name);
+        node.declaration?.declarations?.forEach(declarator => {
+          if (declarator.id.type === 'Identifier') exportedNames.add(declarator.id.name);
+        });
+      },
+      ExportDefaultDeclaration: (node) => {
+        if (node.declaration.type === 'Identifier') exportedNames.add(node.declaration.name);
+      }
+    });
+
+    const allVariables = scopeManager.scopes.flatMap(scope => scope.variables);
+    const takenNames = new Set([
+      ...allVariables.map(variable => variable.name),
+      ...scopeManager.globalScope.through.map(reference => reference.identifier.name)
+    ]);
+    const renamed = new Set();
+
+    for (const violation of violations) {
+      if (!['variable_naming', 'function_naming'].includes(violation.category)) continue;
+
+      const oldName = violation.name;
+      const newName = violation.suggestion;
+      if (!oldName || !newName || oldName === newName || renamed.has(oldName)) continue;
+
+      const variable = allVariables.find(candidate =>
+        candidate.name === oldName &&
+        candidate.defs.some(def => def.name.loc.start.line === violation.line)
+      );
+
+      if (!variable || !variable.defs.every(def => ['Variable', 'FunctionName'].includes(def.type))) continue;
+      if (variable.scope.type === 'module' && exportedNames.has(oldName)) continue;
+      if (variable.scope.type === 'global' && ast.sourceType === 'script') continue; // script globals are shared across files
+      if (takenNames.has(newName)) {
+        logger.warn(`Not renaming '${oldName}' to '${newName}': the name is already in use`);
+        continue;
+      }
+
+      const identifiers = new Map();
+      variable.identifiers.forEach(identifier => identifiers.set(identifier.range[0], identifier));
+      variable.references.forEach(reference => identifiers.set(reference.identifier.range[0], reference.identifier));
+
+      for (const identifier of identifiers.values()) {
+        edits.push({
+          start: identifier.range[0],
+          end: identifier.range[1],
+          text: shorthandIdentifiers.has(identifier) ? `${oldName}: ${newName}` : newName
+        });
+      }
+
+      renamed.add(oldName);
+      takenNames.add(newName);
+      fixes.push({
+        type: 'rename',
+        line: violation.line,
+        message: `Renamed '${oldName}' to '${newName}' (${identifiers.size} occurrences)`
+      });
+    }
+  }
+
+  collectSyncFsFixes(ast, scopeManager, isSuppressed, edits, fixes) {
+    const fsVariables = new Set();
+
+    for (const variable of scopeManager.scopes.flatMap(scope => scope.variables)) {
+      const def = variable.defs[0];
+      if (!def) continue;
+
+      const isFsImport = def.type === 'ImportBinding' &&
+        ['ImportDefaultSpecifier', 'ImportNamespaceSpecifier'].includes(def.node.type) &&
+        FS_MODULES.includes(def.parent.source.value);
+      const isFsRequire = def.type === 'Variable' && def.node.id.type === 'Identifier' &&
+        def.node.init?.type === 'CallExpression' && def.node.init.callee.name === 'require' &&
+        FS_MODULES.includes(def.node.init.arguments[0]?.value);
+
+      if (isFsImport || isFsRequire) fsVariables.add(variable);
+    }
+
+    if (fsVariables.size === 0) return;
+
+    const resolvedReferences = new Map();
+    scopeManager.scopes.forEach(scope => {
+      scope.references.forEach(reference => resolvedReferences.set(reference.identifier, reference.resolved));
+    });
+
+    walkAst(ast, {
+      CallExpression: (node, ancestors) => {
+        const callee = node.callee;
+        if (callee.type !== 'MemberExpression' || callee.object.type !== 'Identifier') return;
+
+        const method = getPropertyName(callee);
+        const replacement = SYNC_FS_REPLACEMENTS[method];
+        if (!replacement || callee.computed) return;
+        if (!fsVariables.has(resolvedReferences.get(callee.object))) return;
+
+        // Only an enclosing async function can await the promise without changing its callers
+        const enclosingFunction = [...ancestors].reverse().find(ancestor => FUNCTION_TYPES.includes(ancestor.type));
+        if (!enclosingFunction?.async) return;
+        if (isSuppressed('performance/no-sync-fs', node.loc.start.line)) return;
+
+        const parent = ancestors[ancestors.length - 1];
+        const needsParens = (parent.type === 'MemberExpression' && parent.object === node) ||
+          (['CallExpression', 'NewExpression'].includes(parent.type) && parent.callee === node) ||
+          (parent.type === 'TaggedTemplateExpression' && parent.tag === node);
+
+        edits.push({ start: node.range[0], end: node.range[0], text: needsParens ? '(await ' : 'await ' });
+        edits.push({ start: callee.property.range[0], end: callee.property.range[1], text: `promises.${replacement}` });
+        if (needsParens) {
+          edits.push({ start: node.range[1], end: node.range[1], text: ')' });
+        }
+
+        fixes.push({
+          type: 'async-fs',
+          line: node.loc.start.line,
+          message: `Replaced ${callee.object.name}.${method}() with await ${callee.object.name}.promises.${replacement}()`
+        });
+      }
+    });
+  }
+
+  async needsReviewMarker(content, filePath) {
+    try {
+      const audit = await this.auditor.auditAICode(content, filePath, this.learnedPatterns);
+      return audit.violations.some(violation => violation.rule === 'require-human-comments');
+    } catch (error) {
+      logger.warn(`Could not audit ${filePath} for review markers: ${error.message}`);
+      return false;
+    }
+  }
+
+  addReviewMarker(content) {
+    const marker = `// Reviewed by: ${this.reviewer}\n`;
+    if (content.startsWith('#!')) {
+      const lineEnd = content.indexOf('\n') + 1;
+      return content.slice(0, lineEnd) + marker + content.slice(lineEnd);
+    }
+    return marker + content;
+  }
+
+  applyEdits(content, edits) {
+    // Apply back to front so earlier offsets stay valid; replacements go before insertions at the same offset
+    const sorted = [...edits].sort((a, b) => (b.start - a.start) || (b.end - a.end));
+    let output = content;
+    let lastStart = Infinity;
+
+    for (const edit of sorted) {
+      if (edit.end > lastStart) continue; // Overlapping edit, keep the one already applied
+      output = output.slice(0, edit.start) + edit.text + output.slice(edit.end);
+      lastStart = edit.start;
+    }
+
+    return output;
+  }
+}
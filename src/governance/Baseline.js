@@ -0,0 +1,145 @@
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import { logger } from '../utils/logger.js';
+import { toPosixPath } from '../utils/globMatcher.js';
+
+export const DEFAULT_BASELINE_PATH = '.manasx/baseline.json';
+
+// No location, or the empty range at the start of the file that file-level rules report;
+// findings with only a line still point at that line's source
+function isFileLevel(violation) {
+  if (!violation.line) return true;
+  return violation.line === 1 && violation.column === 1 &&
+    (violation.endLine ?? 1) === 1 && (violation.endColumn ?? 1) === 1;
+}
+
+export default class Baseline {
+  constructor(filePath = DEFAULT_BASELINE_PATH) {
+    this.filePath = filePath;
+    this.entries = new Map();
+    this.tools = new Set();
+    this.exists = false;
+    this.remaining = new Map();
+    this.seen = new Map();
+    this.analyzed = new Set();
+    this.suppressedCount = 0;
+  }
+
+  async load() {
+    try {
+      const data = JSON.parse(await fs.readFile(this.filePath, 'utf-8'));
+      for (const entry of data.entries || []) {
+        this.entries.set(entry.fingerprint, entry);
+        this.remaining.set(entry.fingerprint, entry.count);
+      }
+      (data.tools || []).forEach(tool => this.tools.add(tool));
+      this.exists = true;
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw new Error(`Could not read baseline ${this.filePath}: ${error.message}`);
+      }
+    }
+    return this;
+  }
+
+  fingerprint(tool, relativePath, violation, lines) {
+    const ruleId = violation.ruleId || violation.rule || 'unknown';
+    // Hash the offending source line rather than its number so findings survive code moving up or down.
+    // File-level findings have no source line, so edits at the top of the file must not change them
+    const source = isFileLevel(violation) ? '' : (lines[violation.line - 1] || '').trim().replace(/\s+/g, ' ');
+    const message = (violation.message || '').replace(/\d+/g, '#');
+
+    return crypto.createHash('sha1')
+      .update([tool, relativePath, ruleId, source, message].join('\0'))
+      .digest('hex')
+      .slice(0, 16);
+  }
+
+  filter(tool, filePath, content, violations) {
+    const relativePath = toPosixPath(path.relative(process.cwd(), filePath));
+    const lines = content.split('\n');
+    const recording = !this.tools.has(tool);
+    const newViolations = [];
+
+    this.analyzed.add(`${tool}:${relativePath}`);
+
+    for (const violation of violations) {
+      const fingerprint = this.fingerprint(tool, relativePath, violation, lines);
+      const seen = this.seen.get(fingerprint);
+      this.seen.set(fingerprint, {
+        tool,
+        file: relativePath,
+        rule: violation.ruleId || violation.rule,
+        message: violation.message,
+        count: (seen?.count || 0) + 1
+      });
+
+      const remaining = this.remaining.get(fingerprint) || 0;
+      if (recording || remaining > 0) {
+        this.remaining.set(fingerprint, remaining - 1);
+        this.suppressedCount++;
+        continue;
+      }
+
+      newViolations.push(violation);
+    }
+
+    return newViolations;
+  }
+
+  async save({ update = false } = {}) {
+    const recordedTools = [...new Set([...this.seen.values()].map(entry => entry.tool))]
+      .filter(tool => !this.tools.has(tool));
+    if (!update && recordedTools.length === 0) {
+      return false;
+    }
+
+    const entries = new Map();
+
+    for (const [fingerprint, entry] of this.entries) {
+      // Files and tools that were not part of this run keep their entries untouched
+      if (!this.analyzed.has(`${entry.tool}:${entry.file}`)) {
+        entries.set(fingerprint, entry);
+        continue;
+      }
+
+      // Ratchet: an entry can only shrink to what is still present, never grow
+      const count = Math.min(entry.count, this.seen.get(fingerprint)?.count || 0);
+      if (count > 0) {
+        entries.set(fingerprint, { ...entry, count });
+      }
+    }
+
+    for (const [fingerprint, entry] of this.seen) {
+      if (recordedTools.includes(entry.tool)) {
+        entries.set(fingerprint, { fingerprint, ...entry });
+      }
+    }
+
+    const removed = [...this.entries.values()].reduce((sum, entry) => sum + entry.count, 0) -
+      [...entries.values()].filter(entry => !recordedTools.includes(entry.tool)).reduce((sum, entry) => sum + entry.count, 0);
+
+    await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+    await fs.writeFile(this.filePath, JSON.stringify({
+      version: 1,
+      updated: new Date().toISOString(),
+      tools: [...new Set([...this.tools, ...recordedTools])],
+      entries: [...entries.values()].sort((a, b) => a.file.localeCompare(b.file) || a.fingerprint.localeCompare(b.fingerprint))
+    }, null, 2));
+
+    if (recordedTools.length > 0) {
+      logger.info(`Baseline recorded ${recordedTools.join(', ')} findings in ${this.filePath}`);
+    }
+    if (update && removed > 0) {
+      logger.success(`Baseline shrank by ${removed} fixed violation(s)`);
+    }
+    return true;
+  }
+
+  report() {
+    if (this.suppressedCount > 0) {
+      logger.info(`${this.suppressedCount} baselined violation(s) hidden (${this.filePath})`);
+    }
+  }
+}
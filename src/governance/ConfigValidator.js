@@ -0,0 +1,76 @@
+import Ajv from 'ajv';
+import jsonSourceMap from 'json-source-map';
+import schema from '../../schema/manasx-rules.schema.json' with { type: 'json' };
+
+export default class ConfigValidator {
+  constructor() {
+    this.ajv = new Ajv({ allErrors: true, strict: false });
+    this.validateSchema = this.ajv.compile(schema);
+    this.pointers = {};
+  }
+
+  validate(text) {
+    let parsed;
+    try {
+      parsed = jsonSourceMap.parse(text);
+    } catch (error) {
+      return { config: null, errors: [this.describeSyntaxError(text, error)] };
+    }
+
+    this.pointers = parsed.pointers;
+
+    if (this.validateSchema(parsed.data)) {
+      return { config: parsed.data, errors: [] };
+    }
+
+    const errors = this.validateSchema.errors
+      // "if" failures only repeat what the then/else branch already reported
+      .filter(error => error.keyword !== 'if')
+      .map(error => this.describeSchemaError(error));
+
+    return { config: parsed.data, errors };
+  }
+
+  describeSchemaError(error) {
+    let pointer = error.instancePath;
+    let message = error.message;
+
+    if (error.keyword === 'additionalProperties') {
+      pointer = `${pointer}/${this.escapePointer(error.params.additionalProperty)}`;
+      message = 'is not a recognized property';
+    } else if (error.keyword === 'enum') {
+      message = `must be one of: ${error.params.allowedValues.join(', ')}`;
+    } else if (error.keyword === 'anyOf' && error.instancePath === '') {
+      message = 'must declare "metadata" and "rules", or "extends" a base configuration';
+    }
+
+    return { path: pointer || '/', message, ...this.locate(pointer, error.keyword === 'additionalProperties') };
+  }
+
+  describeSyntaxError(text, error) {
+    const position = Number(error.message.match(/position (\d+)/)?.[1] ?? 0);
+    const before = text.slice(0, position);
+    return {
+      path: '/',
+      message: `Invalid JSON: ${error.message}`,
+      line: before.split('\n').length,
+      column: position - before.lastIndexOf('\n')
+    };
+  }
+
+  locate(pointer, atKey = false) {
+    const entry = this.pointers[pointer];
+    if (!entry) return {};
+
+    const position = atKey && entry.key ? entry.key : entry.value;
+    return { line: position.line + 1, column: position.column + 1 };
+  }
+
+  escapePointer(segment) {
+    return String(segment).replace(/~/g, '~0').replace(/\//g, '~1');
+  }
+
+  pointerFor(...segments) {
+    return segments.map(segment => `/${this.escapePointer(segment)}`).join('');
+  }
+}
@@ -0,0 +1,285 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { builtinModules } from 'module';
+import { matchesPattern } from '../utils/globMatcher.js';
+import { isRelativeSpecifier } from '../utils/moduleResolver.js';
+import { isValidRange, satisfies } from '../utils/semver.js';
+
+export const DEFAULT_BANNED = [
+  { name: 'vm', reason: 'vm is not a security sandbox' },
+  { name: 'child_process', reason: 'spawning processes needs a security review' }
+];
+const DEPENDENCY_SECTIONS = ['dependencies', 'devDependencies', 'optionalDependencies', 'peerDependencies'];
+
+function evaluateLicense(expression, isAllowed) {
+  // SPDX expressions: AND binds tighter than OR, parentheses group, "X WITH exception" is judged by X
+  const tokens = expression.match(/\(|\)|[^\s()]+/g) || [];
+  let position = 0;
+
+  const parseAtom = () => {
+    const token = tokens[position++];
+    if (token === '(') {
+      const value = parseOr();
+      position++;
+      return value;
+    }
+    if (tokens[position]?.toUpperCase() === 'WITH') position += 2;
+    return isAllowed(token || '');
+  };
+  const parseAnd = () => {
+    let value = parseAtom();
+    while (tokens[position]?.toUpperCase() === 'AND') {
+      position++;
+      value = parseAtom() && value;
+    }
+    return value;
+  };
+  const parseOr = () => {
+    let value = parseAnd();
+    while (tokens[position]?.toUpperCase() === 'OR') {
+      position++;
+      value = parseAnd() || value;
+    }
+    return value;
+  };
+
+  return parseOr();
+}
+
+export default class DependencyPolicy {
+  constructor(policy = {}, options = {}) {
+    this.root = path.resolve(options.root || process.cwd());
+    this.banned = (policy.banned || DEFAULT_BANNED).map(entry => typeof entry === 'string' ? { name: entry } : entry);
+    this.allowed = policy.allowed || null;
+    this.versions = policy.versions || {};
+    this.licenses = policy.licenses ? policy.licenses.map(license => license.toLowerCase()) : null;
+    this.installed = new Map();
+  }
+
+  static getPackageName(specifier) {
+    if (isRelativeSpecifier(specifier)) return null;
+    const name = specifier.replace(/^node:/, '');
+    const segments = name.split('/');
+    return name.startsWith('@') ? segments.slice(0, 2).join('/') : segments[0];
+  }
+
+  static getLicense(manifest) {
+    const license = manifest.license ?? manifest.licenses;
+    if (typeof license === 'string') return license;
+    // Legacy manifests use { type } objects or an array of them
+    if (Array.isArray(license)) return license.map(entry => entry.type || entry).join(' OR ') || null;
+    return license?.type || null;
+  }
+
+  static getDeclaredDependencies(manifest) {
+    const declared = new Map();
+    for (const section of DEPENDENCY_SECTIONS) {
+      for (const [name, range] of Object.entries(manifest[section] || {})) {
+        if (!declared.has(name)) declared.set(name, { section, range });
+      }
+    }
+    return declared;
+  }
+
+  isBuiltin(specifier) {
+    return specifier.startsWith('node:') || builtinModules.includes(DependencyPolicy.getPackageName(specifier));
+  }
+
+  findBan(name) {
+    return this.banned.find(entry => matchesPattern(name, entry.name)) || null;
+  }
+
+  isAllowed(name) {
+    return !this.allowed || this.allowed.some(pattern => matchesPattern(name, pattern));
+  }
+
+  isLicenseAllowed(expression) {
+    return evaluateLicense(expression, (id) => this.licenses.includes(id.replace(/\+$/, '').toLowerCase()));
+  }
+
+  validate() {
+    const errors = [];
+    for (const [name, range] of Object.entries(this.versions)) {
+      if (!isValidRange(range)) {
+        const pointer = name.replace(/~/g, '~0').replace(/\//g, '~1');
+        errors.push({ path: `/dependencies/versions/${pointer}`, message: `Invalid version range '${range}' for ${name}` });
+      }
+    }
+    return errors;
+  }
+
+  async readManifest(directory = this.root) {
+    const manifestPath = path.join(directory, 'package.json');
+    try {
+      return JSON.parse(await fs.readFile(manifestPath, 'utf-8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw new Error(`Could not read ${manifestPath}: ${error.message}`);
+    }
+  }
+
+  async findManifest(fromDir = this.root) {
+    let directory = path.resolve(fromDir);
+    while (true) {
+      const manifest = await this.readManifest(directory);
+      if (manifest) return { directory, manifest };
+
+      const parent = path.dirname(directory);
+      if (parent === directory) return null;
+      directory = parent;
+    }
+  }
+
+  async findInstalledPackage(name, fromDir = this.root) {
+    // Node resolves packages from the nearest node_modules upwards, so nested projects see their own copies first
+    let directory = path.resolve(fromDir);
+    while (true) {
+      const packageDir = path.join(directory, 'node_modules', name);
+      if (!this.installed.has(packageDir)) {
+        this.installed.set(packageDir, this.readManifest(packageDir).catch(() => null));
+      }
+      const manifest = await this.installed.get(packageDir);
+      if (manifest) return { name, directory: packageDir, manifest };
+
+      const parent = path.dirname(directory);
+      if (parent === directory) return null;
+      directory = parent;
+    }
+  }
+
+  async findTypings(installed, fromDir = this.root) {
+    const { manifest, directory } = installed;
+    const rootExport = typeof manifest.exports === 'object' ? manifest.exports?.['.'] : null;
+    const candidates = [
+      manifest.types,
+      manifest.typings,
+      typeof rootExport === 'object' ? rootExport?.types : null,
+      'index.d.ts'
+    ].filter(entry => typeof entry === 'string').map(entry => path.join(directory, entry));
+
+    // DefinitelyTyped names scoped packages @scope/name as @types/scope__name
+    const typesName = `@types/${installed.name.replace(/^@(.+)\//, '$1__')}`;
+    const typesPackage = await this.findInstalledPackage(typesName, fromDir);
+    if (typesPackage) {
+      candidates.push(path.join(typesPackage.directory, typesPackage.manifest.types || typesPackage.manifest.typings || 'index.d.ts'));
+    }
+
+    return this.findFile(candidates.map(candidate => candidate.endsWith('.d.ts') ? candidate : `${candidate}.d.ts`));
+  }
+
+  async findFile(candidates) {
+    for (const candidate of candidates) {
+      try {
+        await fs.access(candidate);
+        return candidate;
+      } catch {
+        // Try the next candidate
+      }
+    }
+    return null;
+  }
+
+  async listInstalledPackages() {
+    const nodeModules = path.join(this.root, 'node_modules');
+    const names = [];
+    let entries;
+    try {
+      entries = await fs.readdir(nodeModules, { withFileTypes: true });
+    } catch {
+      return names;
+    }
+
+    for (const entry of entries) {
+      if (entry.name.startsWith('.') || !(entry.isDirectory() || entry.isSymbolicLink())) continue;
+      if (!entry.name.startsWith('@')) {
+        names.push(entry.name);
+        continue;
+      }
+      const scoped = await fs.readdir(path.join(nodeModules, entry.name)).catch(() => []);
+      names.push(...scoped.filter(name => !name.startsWith('.')).map(name => `${entry.name}/${name}`));
+    }
+    return names;
+  }
+
+  async checkPackage(name, options = {}) {
+    const { fromDir = this.root, direct = true, builtin = builtinModules.includes(name) } = options;
+    const issues = [];
+
+    const ban = this.findBan(name);
+    if (ban) {
+      const scope = direct ? '' : ' (installed as a transitive dependency)';
+      issues.push({ type: 'banned', message: `Package '${name}' is banned${ban.reason ? `: ${ban.reason}` : ''}${scope}` });
+    }
+    if (builtin) return issues;
+
+    if (direct && !ban && !this.isAllowed(name)) {
+      issues.push({ type: 'not-allowed', message: `Package '${name}' is not in the allowed dependency list` });
+    }
+
+    const installed = await this.findInstalledPackage(name, fromDir);
+    if (!installed) return issues;
+
+    const range = this.versions[name];
+    if (range && isValidRange(range) && !satisfies(installed.manifest.version, range)) {
+      issues.push({ type: 'version', message: `Installed ${name}@${installed.manifest.version} does not satisfy the required version ${range}` });
+    }
+
+    if (this.licenses) {
+      const license = DependencyPolicy.getLicense(installed.manifest);
+      if (!license) {
+        issues.push({ type: 'license', message: `Package '${name}' declares no license` });
+      } else if (!this.isLicenseAllowed(license)) {
+        issues.push({ type: 'license', message: `Package '${name}' is licensed ${license}, which is not an allowed license` });
+      }
+    }
+
+    return issues;
+  }
+
+  async audit() {
+    const manifest = await this.readManifest();
+    if (!manifest) {
+      throw new Error(`No package.json found in ${this.root}`);
+    }
+
+    const declared = DependencyPolicy.getDeclaredDependencies(manifest);
+    const names = [...new Set([...declared.keys(), ...await this.listInstalledPackages()])].sort();
+    const packages = [];
+    for (const name of names) {
+      const dependency = declared.get(name);
+      const installed = await this.findInstalledPackage(name);
+      const issues = await this.checkPackage(name, { direct: Boolean(dependency) });
+
+      if (dependency && !installed) {
+        issues.push({ type: 'not-installed', message: `Declared in ${dependency.section} but not installed; run npm install to audit its version and license` });
+      }
+
+      packages.push({
+        name,
+        direct: Boolean(dependency),
+        section: dependency?.section || null,
+        declared: dependency?.range || null,
+        version: installed?.manifest.version || null,
+        license: installed ? DependencyPolicy.getLicense(installed.manifest) : null,
+        issues
+      });
+    }
+
+    const licenses = {};
+    packages.filter(entry => entry.version).forEach(entry => {
+      const license = entry.license || 'UNKNOWN';
+      licenses[license] = (licenses[license] || 0) + 1;
+    });
+
+    return {
+      root: this.root,
+      packages,
+      summary: {
+        direct: packages.filter(entry => entry.direct).length,
+        transitive: packages.filter(entry => !entry.direct).length,
+        withIssues: packages.filter(entry => entry.issues.length > 0).length,
+        licenses
+      }
+    };
+  }
+}
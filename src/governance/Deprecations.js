@@ -0,0 +1,249 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { walkAst, getPropertyName, analyzeScopes, findModuleBindings } from '../utils/astParser.js';
+import { isRelativeSpecifier } from '../utils/moduleResolver.js';
+import DependencyPolicy from './DependencyPolicy.js';
+
+const BUFFER_REPLACEMENT = 'Buffer.from(), Buffer.alloc() or Buffer.allocUnsafe()';
+const UTIL_TYPE_CHECKS = {
+  isBoolean: "typeof value === 'boolean'",
+  isBuffer: 'Buffer.isBuffer()',
+  isDate: 'value instanceof Date',
+  isError: 'value instanceof Error',
+  isFunction: "typeof value === 'function'",
+  isNull: 'value === null',
+  isNullOrUndefined: 'value === null || value === undefined',
+  isNumber: "typeof value === 'number'",
+  isObject: "value !== null && typeof value === 'object'",
+  isPrimitive: "value === null || (typeof value !== 'object' && typeof value !== 'function')",
+  isRegExp: 'value instanceof RegExp',
+  isString: "typeof value === 'string'",
+  isSymbol: "typeof value === 'symbol'",
+  isUndefined: 'value === undefined'
+};
+const MAX_TYPINGS_FILES = 200;
+
+export const NODE_DEPRECATIONS = [
+  { kind: 'constructor', name: 'Buffer', api: 'new Buffer()', code: 'DEP0005', replacement: BUFFER_REPLACEMENT },
+  { kind: 'global', name: 'Buffer', api: 'Buffer()', code: 'DEP0005', replacement: BUFFER_REPLACEMENT },
+  { kind: 'global', name: 'escape', api: 'escape()', replacement: 'encodeURIComponent()' },
+  { kind: 'global', name: 'unescape', api: 'unescape()', replacement: 'decodeURIComponent()' },
+  { kind: 'method', name: 'substr', api: 'String.prototype.substr()', replacement: 'slice() or substring()' },
+  { kind: 'method', name: 'getYear', api: 'Date.prototype.getYear()', replacement: 'getFullYear()' },
+  { kind: 'method', name: '__defineGetter__', api: '__defineGetter__()', replacement: 'Object.defineProperty()' },
+  { kind: 'method', name: '__defineSetter__', api: '__defineSetter__()', replacement: 'Object.defineProperty()' },
+  { kind: 'module', module: 'url', name: 'parse', code: 'DEP0169', replacement: 'new URL()' },
+  { kind: 'module', module: 'url', name: 'resolve', code: 'DEP0116', replacement: 'new URL(relative, base)' },
+  { kind: 'module', module: 'fs', name: 'exists', code: 'DEP0034', replacement: 'fs.existsSync() or fs.promises.access()' },
+  { kind: 'module', module: 'os', name: 'tmpDir', code: 'DEP0022', replacement: 'os.tmpdir()' },
+  { kind: 'module', module: 'crypto', name: 'createCipher', code: 'DEP0106', replacement: 'crypto.createCipheriv()' },
+  { kind: 'module', module: 'crypto', name: 'createDecipher', code: 'DEP0106', replacement: 'crypto.createDecipheriv()' },
+  { kind: 'module', module: 'util', name: '_extend', code: 'DEP0060', replacement: 'Object.assign()' },
+  { kind: 'module', module: 'util', name: 'log', code: 'DEP0059', replacement: 'console.log() with your own timestamp' },
+  { kind: 'module', module: 'util', name: 'isArray', code: 'DEP0044', replacement: 'Array.isArray()' },
+  ...Object.entries(UTIL_TYPE_CHECKS).map(([name, replacement]) => ({ kind: 'module', module: 'util', name, replacement })),
+  { kind: 'import', module: 'domain', code: 'DEP0032', replacement: 'AsyncLocalStorage from async_hooks for context and try/catch for errors' },
+  { kind: 'import', module: 'punycode', code: 'DEP0040', replacement: 'the punycode package from npm' }
+].map(entry => ({
+  ...entry,
+  api: entry.api || (entry.kind === 'import' ? `The ${entry.module} module` : `${entry.module}.${entry.name}()`)
+}));
+
+const DEPRECATED_DOC = /\/\*\*((?:(?!\*\/)[\s\S])*?@deprecated(?:(?!\*\/)[\s\S])*?)\*\/\s*(?:(?:export|declare|default|public|protected|static|readonly|abstract|async|function|const|let|var|class|interface|type|enum|namespace|get|set)\s+)*([A-Za-z_$][\w$]*)/g;
+const DECLARATION = /^[ \t]*(?:(?:export|declare|default|public|protected|static|readonly|abstract|async|function|const|let|var|class|interface|type|enum|namespace|get|set)\s+)*([A-Za-z_$][\w$]*)\s*\??\s*[(:<=;{]/gm;
+const RELATIVE_REFERENCE = /(?:from\s*|import\s*\(\s*|reference\s+path=)['"](\.{1,2}\/[^'"]+)['"]/g;
+
+function toModuleName(specifier) {
+  return specifier.replace(/^node:/, '');
+}
+
+export default class Deprecations {
+  constructor(options = {}) {
+    this.policy = options.dependencyPolicy || new DependencyPolicy();
+    this.packages = new Map();
+  }
+
+  static formatMessage(entry) {
+    return `${entry.api} is deprecated${entry.code ? ` (${entry.code})` : ''}; use ${entry.replacement} instead`;
+  }
+
+  static parseTypings(content) {
+    const deprecated = new Map();
+    const counts = new Map();
+
+    for (const match of content.matchAll(DEPRECATED_DOC)) {
+      const reason = /@deprecated\b([^@]*)/.exec(match[1])[1]
+        .split('\n')
+        .map(line => line.replace(/^\s*\*\s?/, '').trim())
+        .filter(Boolean)
+        .join(' ');
+      deprecated.set(match[2], { reason, count: (deprecated.get(match[2])?.count || 0) + 1 });
+    }
+    for (const match of content.matchAll(DECLARATION)) {
+      counts.set(match[1], (counts.get(match[1]) || 0) + 1);
+    }
+
+    // A name also declared without @deprecated, such as a kept overload or an unrelated member, cannot be judged by name
+    return new Map([...deprecated]
+      .filter(([name, entry]) => (counts.get(name) || 0) <= entry.count)
+      .map(([name, entry]) => [name, entry.reason]));
+  }
+
+  findNodeDeprecations(ast, scopeManager = analyzeScopes(ast), bindings = findModuleBindings(ast, scopeManager)) {
+    const findings = [];
+    const byKind = (kind) => NODE_DEPRECATIONS.filter(entry => entry.kind === kind);
+    const owners = new Map();
+    // Only references that nothing in the file declares reach the global, so a local `escape` or `Buffer` is not flagged
+    const globalReferences = new Set(scopeManager.globalScope.through.map(reference => reference.identifier));
+    const isGlobal = (node) => node.type === 'Identifier' && globalReferences.has(node);
+
+    for (const binding of bindings) {
+      const moduleName = toModuleName(binding.specifier);
+      const moduleImport = byKind('import').find(entry => entry.module === moduleName);
+      if (moduleImport) {
+        findings.push({ node: binding.node, entry: moduleImport });
+        continue;
+      }
+      if (binding.kind === 'named') {
+        const entry = byKind('module').find(candidate => candidate.module === moduleName && candidate.name === binding.imported);
+        if (entry) findings.push({ node: binding.node, entry });
+        continue;
+      }
+      binding.references.forEach(identifier => owners.set(identifier, moduleName));
+    }
+
+    walkAst(ast, {
+      NewExpression: (node) => {
+        const entry = isGlobal(node.callee) && byKind('constructor').find(candidate => candidate.name === node.callee.name);
+        if (entry) findings.push({ node, entry });
+      },
+      CallExpression: (node) => {
+        const { callee } = node;
+        if (isGlobal(callee)) {
+          const entry = byKind('global').find(candidate => candidate.name === callee.name);
+          if (entry) findings.push({ node, entry });
+        } else if (callee.type === 'MemberExpression') {
+          const name = getPropertyName(callee);
+          const entry = byKind('method').find(candidate => candidate.name === name);
+          if (entry) findings.push({ node: callee.property, entry });
+        }
+      },
+      MemberExpression: (node) => {
+        if (node.object.type !== 'Identifier' || !owners.has(node.object)) return;
+        const name = getPropertyName(node);
+        const entry = byKind('module').find(candidate => candidate.module === owners.get(node.object) && candidate.name === name);
+        if (entry) findings.push({ node: node.property, entry });
+      }
+    });
+
+    return findings;
+  }
+
+  findTextDeprecations(content) {
+    const findings = [];
+    const add = (pattern, entry) => {
+      for (const match of content.matchAll(pattern)) {
+        findings.push({ index: match.index, length: match[0].length, entry });
+      }
+    };
+    const escape = (value) => value.replace(/[$]/g, '\\$');
+    // Without scopes, a name the file declares or imports anywhere is assumed to shadow the global
+    const declares = (name) => new RegExp(`\\b(?:const|let|var|function|class)\\s+${escape(name)}\\b|` +
+      `\\b(?:import|const|let|var)\\s*(?:type\\s*)?\\{[^}]*\\b${escape(name)}\\s*[,}]|\\bimport\\s+${escape(name)}\\b`).test(content);
+
+    // Without a syntax tree, module members are matched by the conventional binding name: url.parse, fs.exists
+    for (const entry of NODE_DEPRECATIONS) {
+      switch (entry.kind) {
+        case 'constructor':
+          if (declares(entry.name)) break;
+          add(new RegExp(`\\bnew\\s+${entry.name}\\s*\\(`, 'g'), entry);
+          break;
+        case 'global':
+          if (declares(entry.name)) break;
+          add(new RegExp(`(?<![\\w$.]|new\\s+)${escape(entry.name)}\\s*\\(`, 'g'), entry);
+          break;
+        case 'method':
+          add(new RegExp(`\\.${escape(entry.name)}\\s*\\(`, 'g'), entry);
+          break;
+        case 'module':
+          add(new RegExp(`(?<![\\w$.])${entry.module}\\.${escape(entry.name)}\\b`, 'g'), entry);
+          break;
+        case 'import':
+          add(new RegExp(`(?:from\\s*|require\\s*\\(\\s*)['"](?:node:)?${entry.module}['"]`, 'g'), entry);
+          break;
+      }
+    }
+
+    return findings.sort((a, b) => a.index - b.index);
+  }
+
+  async forPackage(name, fromDir) {
+    const installed = await this.policy.findInstalledPackage(name, fromDir);
+    if (!installed) return new Map();
+
+    const key = `${installed.directory}@${installed.manifest.version}`;
+    if (!this.packages.has(key)) {
+      this.packages.set(key, this.readPackageDeprecations(installed, fromDir).catch(() => new Map()));
+    }
+    return this.packages.get(key);
+  }
+
+  async readPackageDeprecations(installed, fromDir) {
+    const entry = await this.policy.findTypings(installed, fromDir);
+    if (!entry) return new Map();
+
+    // Follow relative imports so deprecations declared in split typings files are found too
+    const pending = [entry];
+    const seen = new Set();
+    const contents = [];
+    while (pending.length > 0 && seen.size < MAX_TYPINGS_FILES) {
+      const file = pending.pop();
+      if (seen.has(file)) continue;
+      seen.add(file);
+
+      const content = await fs.readFile(file, 'utf-8');
+      contents.push(content);
+      for (const match of content.matchAll(RELATIVE_REFERENCE)) {
+        const base = path.resolve(path.dirname(file), match[1]).replace(/\.(?:d\.ts|js|mjs|cjs|ts)$/, '');
+        const target = await this.policy.findFile([`${base}.d.ts`, path.join(base, 'index.d.ts')]);
+        if (target) pending.push(target);
+      }
+    }
+
+    return Deprecations.parseTypings(contents.join('\n'));
+  }
+
+  async findPackageDeprecations(ast, fromDir, bindings = findModuleBindings(ast)) {
+    const findings = [];
+    const owners = new Map();
+
+    for (const binding of bindings) {
+      if (isRelativeSpecifier(binding.specifier) || this.policy.isBuiltin(binding.specifier)) continue;
+      const deprecated = await this.forPackage(DependencyPolicy.getPackageName(binding.specifier), fromDir);
+      if (deprecated.size === 0) continue;
+
+      if (binding.kind === 'named') {
+        if (deprecated.has(binding.imported)) {
+          findings.push({ node: binding.node, name: binding.imported, specifier: binding.specifier, reason: deprecated.get(binding.imported) });
+        }
+        continue;
+      }
+      binding.references.forEach(identifier => owners.set(identifier, { binding, deprecated }));
+    }
+
+    if (owners.size > 0) {
+      walkAst(ast, {
+        MemberExpression: (node) => {
+          if (node.object.type !== 'Identifier' || !owners.has(node.object)) return;
+          const { binding, deprecated } = owners.get(node.object);
+          const name = getPropertyName(node);
+          if (name && deprecated.has(name)) {
+            findings.push({ node: node.property, name, specifier: binding.specifier, reason: deprecated.get(name) });
+          }
+        }
+      });
+    }
+
+    return findings;
+  }
+}
@@ -1,10 +1,16 @@
 import fs from 'fs/promises';
 import path from 'path';
 import { logger } from '../utils/logger.js';
+import { toFileContext } from '../utils/fileContext.js';
+import { FileDiscovery } from '../utils/fileDiscovery.js';
+import InlineSuppressions from './InlineSuppressions.js';
+import DependencyPolicy from './DependencyPolicy.js';
 
 export default class DriftDetector {
-  constructor(learnedPatterns) {
+  constructor(learnedPatterns, options = {}) {
     this.patterns = learnedPatterns;
+    this.dependencyPolicy = options.dependencyPolicy || new DependencyPolicy();
+    this.fileDiscovery = options.fileDiscovery || new FileDiscovery();
     this.severityLevels = {
       CRITICAL: 'critical',
       HIGH: 'high', 
@@ -18,16 +24,22 @@ export default class DriftDetector {
     const {
       threshold = 0.7, // Minimum pattern match threshold
       includeInfo = false,
-      contextSize = 3 // Lines of context around violations
+      contextSize = 3, // Lines of context around violations
+      applySuppressions = true,
+      content = null // Analyze this text or file context instead of reading the file, e.g. staged content
     } = options;
 
     try {
+      if (content !== null) {
+        return await this.analyzeDriftInFile(filePath, threshold, contextSize, includeInfo, applySuppressions, content);
+      }
+
       const stats = await fs.stat(filePath);
       
       if (stats.isDirectory()) {
         return await this.analyzeDriftInDirectory(filePath, options);
       } else {
-        return await this.analyzeDriftInFile(filePath, threshold, contextSize, includeInfo);
+        return await this.analyzeDriftInFile(filePath, threshold, contextSize, includeInfo, applySuppressions);
       }
     } catch (error) {
       logger.error(`Error detecting drift in ${filePath}: ${error.message}`);
@@ -51,8 +63,7 @@ export default class DriftDetector {
       files: []
     };
 
-    const extensions = ['.js', '.ts', '.jsx', '.tsx'];
-    const files = await this.findFiles(directory, extensions);
+    const files = await this.fileDiscovery.find(directory);
     
     for (const filePath of files) {
       try {
@@ -60,7 +71,8 @@ export default class DriftDetector {
           filePath, 
           options.threshold || 0.7, 
           options.contextSize || 3,
-          options.includeInfo || false
+          options.includeInfo || false,
+          options.applySuppressions !== false
         );
         
         results.files.push(fileResult);
@@ -94,10 +106,9 @@ export default class DriftDetector {
     return results;
   }
 
-  async analyzeDriftInFile(filePath, threshold, contextSize, includeInfo) {
-    const content = await fs.readFile(filePath, 'utf-8');
-    const lines = content.split('\n');
-    
+  async analyzeDriftInFile(filePath, threshold, contextSize, includeInfo, applySuppressions = true, content = null) {
+    const file = toFileContext(content ?? await fs.readFile(filePath, 'utf-8'), filePath);
+
     const result = {
       file: filePath,
       timestamp: new Date().toISOString(),
@@ -107,10 +118,14 @@ export default class DriftDetector {
       suggestions: []
     };
 
-    await this.analyzeNamingDrift(content, filePath, result, lines);
-    await this.analyzeImportDrift(content, filePath, result, lines);
+    await this.analyzeNamingDrift(file, filePath, result);
+    await this.analyzeImportDrift(file, filePath, result);
     await this.analyzeArchitectureDrift(filePath, result);
-    await this.analyzeCommentDrift(content, result, lines);
+    await this.analyzeCommentDrift(file, result);
+
+    if (applySuppressions) {
+      result.violations = InlineSuppressions.parse(file, filePath).filter(result.violations);
+    }
 
     result.complianceScore = this.calculateComplianceScore(result.violations);
 
@@ -119,7 +134,7 @@ export default class DriftDetector {
     }
 
     result.violations.forEach(violation => {
-      violation.context = this.getContext(lines, violation.line, contextSize);
+      violation.context = this.getContext(file.lines, violation.line, contextSize);
     });
 
     result.suggestions = this.generateSuggestions(result.violations, result.patternMatches);
@@ -127,7 +142,7 @@ export default class DriftDetector {
     return result;
   }
 
-  analyzeNamingDrift(content, filePath, result, lines) {
+  analyzeNamingDrift(file, filePath, result) {
     const fileName = path.basename(filePath, path.extname(filePath));
     const recommendations = this.patterns.recommendations?.naming || {};
     
@@ -150,22 +165,24 @@ export default class DriftDetector {
       }
     }
 
-    this.analyzeVariableNaming(content, result, lines, recommendations);
-    this.analyzeFunctionNaming(content, result, lines, recommendations);
-    this.analyzeConstantNaming(content, result, lines, recommendations);
+    this.analyzeVariableNaming(file, result, recommendations);
+    this.analyzeFunctionNaming(file, result, recommendations);
+    this.analyzeConstantNaming(file, result, recommendations);
   }
 
-  analyzeVariableNaming(content, result, lines, recommendations) {
+  analyzeVariableNaming(file, result, recommendations) {
     const expectedStyle = recommendations.variables;
     if (!expectedStyle) return;
 
     const variableRegex = /(?:let|const|var)\s+([a-zA-Z_$][a-zA-Z0-9_$]*)/g;
     let match;
     
-    while ((match = variableRegex.exec(content)) !== null) {
+    while ((match = variableRegex.exec(file.content)) !== null) {
+      // Declarations quoted in comments or strings are not code
+      if (!file.isCode(match.index)) continue;
       const varName = match[1];
       const actualStyle = this.detectNamingStyle(varName);
-      const lineNum = this.getLineNumber(content, match.index);
+      const { line: lineNum, column } = file.getLocation(match.index);
       
       if (actualStyle !== expectedStyle && actualStyle !== 'unknown') {
         result.violations.push({
@@ -173,10 +190,11 @@ export default class DriftDetector {
           category: 'variable_naming',
           severity: this.severityLevels.LOW,
           line: lineNum,
-          column: match.index - content.lastIndexOf('\n', match.index),
+          column,
           message: `Variable '${varName}' uses '${actualStyle}' naming but project standard is '${expectedStyle}'`,
           expected: expectedStyle,
           actual: actualStyle,
+          name: varName,
           suggestion: this.convertNamingStyle(varName, expectedStyle),
           rule: 'consistent_variable_naming'
         });
@@ -184,19 +202,20 @@ export default class DriftDetector {
     }
   }
 
-  analyzeFunctionNaming(content, result, lines, recommendations) {
+  analyzeFunctionNaming(file, result, recommendations) {
     const expectedStyle = recommendations.functions;
     if (!expectedStyle) return;
 
     const functionRegex = /(?:function\s+([a-zA-Z_$][a-zA-Z0-9_$]*)|(?:const|let)\s+([a-zA-Z_$][a-zA-Z0-9_$]*)\s*=\s*(?:async\s+)?(?:\([^)]*\)\s*=>|\([^)]*\)))/g;
     let match;
     
-    while ((match = functionRegex.exec(content)) !== null) {
+    while ((match = functionRegex.exec(file.content)) !== null) {
+      if (!file.isCode(match.index)) continue;
       const funcName = match[1] || match[2];
       if (!funcName) continue;
       
       const actualStyle = this.detectNamingStyle(funcName);
-      const lineNum = this.getLineNumber(content, match.index);
+      const { line: lineNum, column } = file.getLocation(match.index);
       
       if (actualStyle !== expectedStyle && actualStyle !== 'unknown') {
         result.violations.push({
@@ -204,10 +223,11 @@ export default class DriftDetector {
           category: 'function_naming',
           severity: this.severityLevels.LOW,
           line: lineNum,
-          column: match.index - content.lastIndexOf('\n', match.index),
+          column,
           message: `Function '${funcName}' uses '${actualStyle}' naming but project standard is '${expectedStyle}'`,
           expected: expectedStyle,
           actual: actualStyle,
+          name: funcName,
           suggestion: this.convertNamingStyle(funcName, expectedStyle),
           rule: 'consistent_function_naming'
         });
@@ -215,17 +235,18 @@ export default class DriftDetector {
     }
   }
 
-  analyzeConstantNaming(content, result, lines, recommendations) {
+  analyzeConstantNaming(file, result, recommendations) {
     const expectedStyle = recommendations.constants;
     if (!expectedStyle) return;
 
     const constantRegex = /const\s+([A-Z][A-Z0-9_]*)\s*=/g;
     let match;
     
-    while ((match = constantRegex.exec(content)) !== null) {
+    while ((match = constantRegex.exec(file.content)) !== null) {
+      if (!file.isCode(match.index)) continue;
       const constName = match[1];
       const actualStyle = this.detectNamingStyle(constName);
-      const lineNum = this.getLineNumber(content, match.index);
+      const { line: lineNum, column } = file.getLocation(match.index);
       
       if (actualStyle !== expectedStyle && expectedStyle === 'UPPER_CASE') {
         result.violations.push({
@@ -233,7 +254,7 @@ export default class DriftDetector {
           category: 'constant_naming',
           severity: this.severityLevels.LOW,
           line: lineNum,
-          column: match.index - content.lastIndexOf('\n', match.index),
+          column,
           message: `Constant '${constName}' should use ${expectedStyle} naming convention`,
           expected: expectedStyle,
           actual: actualStyle,
@@ -243,15 +264,16 @@ export default class DriftDetector {
     }
   }
 
-  analyzeImportDrift(content, filePath, result, lines) {
+  analyzeImportDrift(file, filePath, result) {
     const recommendations = this.patterns.recommendations?.imports || {};
     
     const importRegex = /import\s+.*?\s+from\s+['"`]([^'"`]+)['"`]/g;
     let match;
     
-    while ((match = importRegex.exec(content)) !== null) {
+    while ((match = importRegex.exec(file.content)) !== null) {
+      if (!file.isCode(match.index)) continue;
       const importPath = match[1];
-      const lineNum = this.getLineNumber(content, match.index);
+      const { line: lineNum, column } = file.getLocation(match.index);
       
       if (recommendations.style) {
         const isRelative = importPath.startsWith('.');
@@ -264,7 +286,7 @@ export default class DriftDetector {
             category: 'import_style',
             severity: this.severityLevels.LOW,
             line: lineNum,
-            column: match.index - content.lastIndexOf('\n', match.index),
+            column,
             message: `Relative import detected but project prefers absolute imports`,
             expected: expectedStyle,
             actual: actualStyle,
@@ -276,7 +298,7 @@ export default class DriftDetector {
             category: 'import_style', 
             severity: this.severityLevels.LOW,
             line: lineNum,
-            column: match.index - content.lastIndexOf('\n', match.index),
+            column,
             message: `Absolute import for internal module but project prefers relative imports`,
             expected: expectedStyle,
             actual: actualStyle,
@@ -296,7 +318,7 @@ export default class DriftDetector {
             category: 'import_extensions',
             severity: this.severityLevels.INFO,
             line: lineNum,
-            column: match.index - content.lastIndexOf('\n', match.index),
+            column,
             message: `Import ${actualStyle} extensions but project standard is ${expectedStyle}`,
             expected: expectedStyle,
             actual: actualStyle,
@@ -305,14 +327,15 @@ export default class DriftDetector {
         }
       }
 
-      if (this.isDiscouragedLibrary(importPath)) {
+      const ban = this.isDiscouragedLibrary(importPath);
+      if (ban) {
         result.violations.push({
           type: 'import_drift',
           category: 'discouraged_library',
           severity: this.severityLevels.HIGH,
           line: lineNum,
-          column: match.index - content.lastIndexOf('\n', match.index),
-          message: `Import of discouraged library '${importPath.split('/')[0]}'`,
+          column,
+          message: `Import of discouraged library '${ban.name}'${ban.reason ? `: ${ban.reason}` : ''}`,
           rule: 'discouraged_library_usage'
         });
       }
@@ -348,11 +371,11 @@ export default class DriftDetector {
     }
   }
 
-  analyzeCommentDrift(content, result, lines) {
+  analyzeCommentDrift(file, result) {
     const recommendations = this.patterns.recommendations?.comments || {};
     
     if (recommendations.style && recommendations.density) {
-      const commentAnalysis = this.analyzeComments(content);
+      const commentAnalysis = this.analyzeComments(file);
       const expectedStyle = recommendations.style;
       const expectedDensity = recommendations.density;
       
@@ -422,10 +445,6 @@ export default class DriftDetector {
     }
   }
 
-  getLineNumber(content, index) {
-    return content.substring(0, index).split('\n').length;
-  }
-
   getContext(lines, lineNum, contextSize) {
     const start = Math.max(0, lineNum - contextSize - 1);
     const end = Math.min(lines.length, lineNum + contextSize);
@@ -442,18 +461,18 @@ export default class DriftDetector {
   }
 
   isDiscouragedLibrary(importPath) {
-    const discouraged = ['eval', 'vm', 'child_process'];
-    return discouraged.some(lib => importPath.includes(lib));
+    const name = DependencyPolicy.getPackageName(importPath);
+    const ban = name && this.dependencyPolicy.findBan(name);
+    return ban ? { ...ban, name } : null;
   }
 
-  analyzeComments(content) {
-    const singleLineComments = (content.match(/\/\/.*$/gm) || []).length;
-    const multiLineComments = (content.match(/\/\*[\s\S]*?\*\//g) || []).length;
-    const jsdocComments = (content.match(/\/\*\*[\s\S]*?\*\//g) || []).length;
+  analyzeComments(file) {
+    const singleLineComments = file.comments.filter(comment => comment.type === 'Line').length;
+    const multiLineComments = file.comments.filter(comment => comment.type === 'Block').length;
+    const jsdocComments = file.comments.filter(comment => comment.type === 'Block' && comment.value.startsWith('*')).length;
     
     const total = singleLineComments + multiLineComments + jsdocComments;
-    const lines = content.split('\n').length;
-    const density = total / lines;
+    const density = total / file.lineCount;
     
     let dominantStyle = 'single';
     if (jsdocComments >= singleLineComments && jsdocComments >= multiLineComments) {
@@ -522,39 +541,4 @@ export default class DriftDetector {
 
     return suggestions;
   }
-
-  async findFiles(directory, extensions) {
-    const files = [];
-    const stack = [directory];
-
-    while (stack.length > 0) {
-      const currentDir = stack.pop();
-      
-      try {
-        const entries = await fs.readdir(currentDir, { withFileTypes: true });
-        
-        for (const entry of entries) {
-          const fullPath = path.join(currentDir, entry.name);
-          
-          if (entry.isDirectory() && !this.shouldIgnoreDirectory(entry.name)) {
-            stack.push(fullPath);
-          } else if (entry.isFile()) {
-            const ext = path.extname(entry.name);
-            if (extensions.includes(ext)) {
-              files.push(fullPath);
-            }
-          }
-        }
-      } catch (error) {
-        logger.warn(`Skipping directory ${currentDir}: ${error.message}`);
-      }
-    }
-
-    return files;
-  }
-
-  shouldIgnoreDirectory(name) {
-    const ignorePatterns = ['node_modules', '.git', 'dist', 'build', '.next', '.nuxt', 'coverage'];
-    return ignorePatterns.includes(name);
-  }
 }
\ No newline at end of file
@@ -0,0 +1,352 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { walkAst } from '../utils/astParser.js';
+import { toFileContext } from '../utils/fileContext.js';
+import { isRelativeSpecifier } from '../utils/moduleResolver.js';
+import { toPosixPath } from '../utils/globMatcher.js';
+import { logger } from '../utils/logger.js';
+
+const RESOLVE_EXTENSIONS = ['.js', '.jsx', '.mjs', '.cjs', '.ts', '.tsx'];
+const IMPORT_PATTERN = /(?:import|export)\s[^'"]*?from\s*['"]([^'"\n]+)['"]|import\s*['"]([^'"\n]+)['"]|(?:require|import)\s*\(\s*['"]([^'"\n]+)['"]\s*\)/g;
+
+export default class ImportGraph {
+  constructor(options = {}) {
+    this.root = path.resolve(options.root || process.cwd());
+    this.aliases = this.normalizeAliases(options.aliases || {}, options.aliasBaseDir || this.root);
+    this.nodes = new Map();
+  }
+
+  static async create(options = {}) {
+    const graph = new ImportGraph(options);
+    const compiler = await ImportGraph.loadCompilerAliases(graph.root);
+    // Aliases declared in manasx-rules.json take precedence over compiler paths
+    graph.aliases.push(...graph.normalizeAliases(compiler.aliases, compiler.baseDir));
+    return graph;
+  }
+
+  static async loadCompilerAliases(root = process.cwd()) {
+    // tsconfig/jsconfig "paths" are the usual source of aliases like @/components
+    for (const fileName of ['tsconfig.json', 'jsconfig.json']) {
+      const configPath = path.join(root, fileName);
+      let content;
+      try {
+        content = await fs.readFile(configPath, 'utf-8');
+      } catch {
+        continue;
+      }
+
+      try {
+        const stripped = content.replace(/\/\*[\s\S]*?\*\/|(?<!:)\/\/.*$/gm, '').replace(/,(\s*[}\]])/g, '$1');
+        const compilerOptions = JSON.parse(stripped).compilerOptions || {};
+        const baseDir = path.resolve(root, compilerOptions.baseUrl || '.');
+        return { aliases: compilerOptions.paths || {}, baseDir };
+      } catch (error) {
+        logger.warn(`Could not read path aliases from ${fileName}: ${error.message}`);
+      }
+    }
+    return { aliases: {}, baseDir: root };
+  }
+
+  normalizeAliases(aliases, baseDir) {
+    return Object.entries(aliases).map(([pattern, targets]) => {
+      const [prefix, suffix = ''] = pattern.split('*');
+      return {
+        pattern,
+        prefix,
+        suffix,
+        wildcard: pattern.includes('*'),
+        targets: (Array.isArray(targets) ? targets : [targets]).map(target => path.resolve(baseDir, target))
+      };
+    });
+  }
+
+  relative(filePath) {
+    return toPosixPath(path.relative(process.cwd(), filePath));
+  }
+
+  extractImports(content, filePath) {
+    const file = toFileContext(content, filePath);
+    const ast = file.ast;
+    const imports = [];
+
+    if (!ast) {
+      for (const match of file.content.matchAll(IMPORT_PATTERN)) {
+        const specifier = match[1] || match[2] || match[3];
+        const index = match.index + match[0].lastIndexOf(specifier) - 1;
+        imports.push({
+          specifier,
+          index,
+          length: specifier.length + 2,
+          line: file.getLineNumber(index)
+        });
+      }
+      return imports;
+    }
+
+    const add = (sourceNode) => {
+      if (typeof sourceNode?.value !== 'string') return;
+      imports.push({
+        specifier: sourceNode.value,
+        index: sourceNode.range[0],
+        length: sourceNode.range[1] - sourceNode.range[0],
+        line: sourceNode.loc.start.line
+      });
+    };
+
+    walkAst(ast, {
+      ImportDeclaration: (node) => add(node.source),
+      ExportNamedDeclaration: (node) => add(node.source),
+      ExportAllDeclaration: (node) => add(node.source),
+      ImportExpression: (node) => add(node.source),
+      CallExpression: (node) => {
+        if (node.callee.type === 'Identifier' && node.callee.name === 'require' && node.arguments[0]?.type === 'Literal') {
+          add(node.arguments[0]);
+        }
+      }
+    });
+
+    return imports;
+  }
+
+  async resolveFile(candidate) {
+    const ext = path.extname(candidate);
+    const candidates = [candidate];
+    if (!RESOLVE_EXTENSIONS.includes(ext)) {
+      candidates.push(...RESOLVE_EXTENSIONS.map(extension => candidate + extension));
+    } else if (['.js', '.jsx', '.mjs', '.cjs'].includes(ext)) {
+      // TypeScript sources are imported with the extension they compile to
+      const base = candidate.slice(0, -ext.length);
+      candidates.push(base + ext.replace('js', 'ts'));
+    }
+    candidates.push(...RESOLVE_EXTENSIONS.map(extension => path.join(candidate, `index${extension}`)));
+
+    for (const filePath of candidates) {
+      try {
+        if ((await fs.stat(filePath)).isFile()) return filePath;
+      } catch {
+        // Try the next candidate
+      }
+    }
+    return null;
+  }
+
+  async resolveImport(specifier, fromFile) {
+    if (isRelativeSpecifier(specifier)) {
+      return this.resolveFile(path.resolve(path.dirname(fromFile), specifier));
+    }
+
+    for (const alias of this.aliases) {
+      let rest;
+      if (alias.wildcard) {
+        if (!specifier.startsWith(alias.prefix) || !specifier.endsWith(alias.suffix)) continue;
+        rest = specifier.slice(alias.prefix.length, specifier.length - alias.suffix.length);
+      } else if (specifier !== alias.pattern) {
+        continue;
+      }
+
+      for (const target of alias.targets) {
+        const resolved = await this.resolveFile(alias.wildcard ? target.replace('*', rest) : target);
+        if (resolved) return resolved;
+      }
+    }
+
+    // Bare package imports are outside the project graph
+    return null;
+  }
+
+  async addFile(filePath, content = null) {
+    const absolutePath = path.resolve(filePath);
+    const pinned = content !== null;
+    let mtimeMs = null;
+
+    if (!pinned) {
+      const cached = this.nodes.get(absolutePath);
+      // Content handed in by the caller (staged or unsaved) wins over the disk until it is replaced
+      if (cached?.pinned) return cached;
+
+      const stat = await fs.stat(absolutePath);
+      mtimeMs = stat.mtimeMs;
+      if (cached && cached.mtimeMs === mtimeMs) return cached;
+      content = await fs.readFile(absolutePath, 'utf-8');
+    }
+
+    const edges = [];
+    for (const entry of this.extractImports(content, absolutePath)) {
+      const target = await this.resolveImport(entry.specifier, absolutePath);
+      if (target) edges.push({ ...entry, target });
+    }
+
+    const node = { file: absolutePath, edges, mtimeMs, pinned };
+    this.nodes.set(absolutePath, node);
+    return node;
+  }
+
+  async getNode(filePath) {
+    try {
+      return await this.addFile(filePath);
+    } catch (error) {
+      logger.warn(`Could not read imports of ${this.relative(filePath)}: ${error.message}`);
+      return { file: path.resolve(filePath), edges: [], mtimeMs: null };
+    }
+  }
+
+  async build(files) {
+    const pending = files.map(file => path.resolve(file));
+    const seen = new Set();
+
+    // Follow edges so files outside the scanned set that are imported still become nodes
+    while (pending.length > 0) {
+      const file = pending.pop();
+      if (seen.has(file)) continue;
+      seen.add(file);
+
+      const node = await this.getNode(file);
+      node.edges.forEach(edge => pending.push(edge.target));
+    }
+
+    return this;
+  }
+
+  async findShortestCycle(startFile, members = null) {
+    const start = path.resolve(startFile);
+    const queue = [[start]];
+    const visited = new Set();
+
+    // Breadth-first, so the first path back to the start is the shortest cycle through it
+    while (queue.length > 0) {
+      const chain = queue.shift();
+      const file = chain[chain.length - 1];
+      const node = await this.getNode(file);
+
+      for (const edge of node.edges) {
+        if (edge.target === start) return [...chain, start];
+        if (visited.has(edge.target) || (members && !members.has(edge.target))) continue;
+        visited.add(edge.target);
+        queue.push([...chain, edge.target]);
+      }
+    }
+
+    return null;
+  }
+
+  getStronglyConnectedComponents() {
+    // Tarjan's algorithm, iterative so long import chains cannot overflow the call stack
+    const indexes = new Map();
+    const lowLinks = new Map();
+    const stack = [];
+    const onStack = new Set();
+    const components = [];
+    let nextIndex = 0;
+
+    const targetsOf = (file) => [...new Set((this.nodes.get(file)?.edges || []).map(edge => edge.target))];
+
+    for (const root of [...this.nodes.keys()].sort()) {
+      if (indexes.has(root)) continue;
+
+      const work = [{ file: root, targets: targetsOf(root), next: 0 }];
+      indexes.set(root, nextIndex);
+      lowLinks.set(root, nextIndex++);
+      stack.push(root);
+      onStack.add(root);
+
+      while (work.length > 0) {
+        const frame = work[work.length - 1];
+
+        if (frame.next < frame.targets.length) {
+          const target = frame.targets[frame.next++];
+          if (!indexes.has(target)) {
+            indexes.set(target, nextIndex);
+            lowLinks.set(target, nextIndex++);
+            stack.push(target);
+            onStack.add(target);
+            work.push({ file: target, targets: targetsOf(target), next: 0 });
+          } else if (onStack.has(target)) {
+            lowLinks.set(frame.file, Math.min(lowLinks.get(frame.file), indexes.get(target)));
+          }
+          continue;
+        }
+
+        work.pop();
+        if (work.length > 0) {
+          const parent = work[work.length - 1].file;
+          lowLinks.set(parent, Math.min(lowLinks.get(parent), lowLinks.get(frame.file)));
+        }
+
+        if (lowLinks.get(frame.file) === indexes.get(frame.file)) {
+          const component = [];
+          let member;
+          do {
+            member = stack.pop();
+            onStack.delete(member);
+            component.push(member);
+          } while (member !== frame.file);
+          components.push(component.sort());
+        }
+      }
+    }
+
+    return components;
+  }
+
+  async findCycles() {
+    const cycles = [];
+
+    for (const component of this.getStronglyConnectedComponents()) {
+      const isSelfImport = component.length === 1 &&
+        this.nodes.get(component[0])?.edges.some(edge => edge.target === component[0]);
+      if (component.length < 2 && !isSelfImport) continue;
+
+      // One representative chain per component, so a tangle of files is reported once
+      const chain = await this.findShortestCycle(component[0], new Set(component));
+      cycles.push({
+        files: component.map(file => this.relative(file)),
+        chain: chain.map(file => this.relative(file))
+      });
+    }
+
+    return cycles.sort((a, b) => a.files[0].localeCompare(b.files[0]));
+  }
+
+  toJSON(getLayer = () => null) {
+    const files = [...this.nodes.keys()].sort();
+    return {
+      nodes: files.map(file => ({ id: this.relative(file), layer: getLayer(file) })),
+      edges: files.flatMap(file => this.nodes.get(file).edges.map(edge => ({
+        from: this.relative(file),
+        to: this.relative(edge.target),
+        specifier: edge.specifier,
+        line: edge.line
+      })))
+    };
+  }
+
+  toDot(getLayer = () => null, isForbidden = () => false) {
+    const graph = this.toJSON(getLayer);
+    const quote = (value) => `"${value.replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+    const lines = ['digraph imports {', '  rankdir=LR;', '  node [shape=box, fontsize=10];'];
+
+    const byLayer = new Map();
+    graph.nodes.forEach(node => {
+      const key = node.layer || '';
+      if (!byLayer.has(key)) byLayer.set(key, []);
+      byLayer.get(key).push(node.id);
+    });
+
+    for (const [layer, ids] of byLayer) {
+      const indent = layer ? '    ' : '  ';
+      if (layer) {
+        lines.push(`  subgraph ${quote(`cluster_${layer}`)} {`, `    label=${quote(layer)};`);
+      }
+      ids.forEach(id => lines.push(`${indent}${quote(id)};`));
+      if (layer) lines.push('  }');
+    }
+
+    graph.edges.forEach(edge => {
+      const style = isForbidden(edge) ? ' [color=red, penwidth=2]' : '';
+      lines.push(`  ${quote(edge.from)} -> ${quote(edge.to)}${style};`);
+    });
+
+    lines.push('}');
+    return lines.join('\n') + '\n';
+  }
+}
@@ -0,0 +1,113 @@
+import path from 'path';
+import { toFileContext } from '../utils/fileContext.js';
+import { matchesPattern } from '../utils/globMatcher.js';
+
+const DIRECTIVE_REGEX = /^\s*\*?\s*manasx-(disable-next-line|disable-line|disable|enable)(?=\s|$)([\s\S]*)$/;
+
+export const MISSING_REASON_RULE = 'manasx/suppression-requires-reason';
+
+export default class InlineSuppressions {
+  constructor(filePath, suppressions = []) {
+    this.filePath = filePath;
+    this.suppressions = suppressions;
+  }
+
+  static parse(content, filePath, ast = undefined) {
+    const file = toFileContext(content, filePath, { ast });
+    const relativePath = path.relative(process.cwd(), filePath);
+    const suppressions = [];
+    const openBlocks = [];
+
+    for (const comment of file.comments) {
+      const match = comment.value.match(DIRECTIVE_REGEX);
+      if (!match) continue;
+
+      const [, kind, rest] = match;
+      const { rules, reason } = InlineSuppressions.parseDirectiveBody(rest);
+      const line = comment.loc.start.line;
+
+      if (kind === 'enable') {
+        for (const block of [...openBlocks]) {
+          const closes = rules.length === 0 || block.rules.length === 0 ||
+            block.rules.some(rule => rules.includes(rule));
+          if (closes) {
+            block.endLine = line;
+            openBlocks.splice(openBlocks.indexOf(block), 1);
+          }
+        }
+        continue;
+      }
+
+      const suppression = {
+        kind,
+        rules,
+        reason,
+        file: relativePath,
+        line,
+        startLine: line,
+        endLine: line,
+        used: 0
+      };
+
+      if (kind === 'disable-next-line') {
+        suppression.startLine = comment.loc.end.line + 1;
+        suppression.endLine = comment.loc.end.line + 1;
+      } else if (kind === 'disable') {
+        suppression.endLine = file.lineCount;
+        openBlocks.push(suppression);
+      }
+
+      suppressions.push(suppression);
+    }
+
+    return new InlineSuppressions(relativePath, suppressions);
+  }
+
+  static parseDirectiveBody(body) {
+    const separator = body.indexOf('--');
+    const ruleList = separator === -1 ? body : body.slice(0, separator);
+    const description = separator === -1 ? '' : body.slice(separator + 2);
+
+    return {
+      rules: ruleList.split(/[\s,]+/).map(rule => rule.trim()).filter(Boolean),
+      reason: description.trim().replace(/^reason:\s*/i, '').trim()
+    };
+  }
+
+  covers(suppression, violation) {
+    const line = violation.line || 1;
+    if (line < suppression.startLine || line > suppression.endLine) return false;
+    if (suppression.rules.length === 0) return true;
+
+    const ruleId = violation.ruleId || violation.rule || '';
+    return suppression.rules.some(rule => matchesPattern(ruleId, rule));
+  }
+
+  filter(violations) {
+    return violations.filter(violation => {
+      if (violation.ruleId === MISSING_REASON_RULE) return true;
+
+      // Overlapping directives, such as a disable-next-line inside a disable block, all count as used
+      const covering = this.suppressions.filter(candidate => this.covers(candidate, violation));
+      covering.forEach(suppression => suppression.used++);
+      return covering.length === 0;
+    });
+  }
+
+  getMissingReasonViolations() {
+    return this.suppressions
+      .filter(suppression => !suppression.reason)
+      .map(suppression => ({
+        ruleId: MISSING_REASON_RULE,
+        severity: 'medium',
+        message: `manasx-${suppression.kind} needs a reason, e.g. "-- reason: why this is safe"`,
+        file: this.filePath,
+        line: suppression.line,
+        category: 'governance'
+      }));
+  }
+
+  getUnusedSuppressions() {
+    return this.suppressions.filter(suppression => suppression.used === 0);
+  }
+}
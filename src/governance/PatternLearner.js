@@ -1,6 +1,11 @@
 import fs from 'fs/promises';
 import path from 'path';
 import { logger } from '../utils/logger.js';
+import { createFileContext } from '../utils/fileContext.js';
+import { FileDiscovery } from '../utils/fileDiscovery.js';
+import { runTasks, ANALYSIS_WORKER } from '../utils/workerPool.js';
+
+const TEST_DIRECTORIES = ['__tests__', 'test', 'tests', 'spec', 'specs'];
 
 export default class PatternLearner {
   constructor() {
@@ -29,6 +34,7 @@ export default class PatternLearner {
       testing: {
         fileNaming: { spec: 0, test: 0 },
         location: { colocated: 0, separate: 0 },
+        directories: new Map(),
         framework: new Map(),
         assertionStyles: new Map()
       },
@@ -42,25 +48,32 @@ export default class PatternLearner {
   async learnFromDirectory(directory, options = {}) {
     const {
       extensions = ['.js', '.ts', '.jsx', '.tsx'],
-      ignorePatterns = ['node_modules', '.git', 'dist', 'build'],
-      maxFiles = 1000
+      maxFiles = 1000,
+      fileDiscovery = new FileDiscovery(),
+      jobs = 1,
+      cache = null
     } = options;
 
     logger.info(`Learning patterns from ${directory}...`);
     
     try {
-      const files = await this.findCodeFiles(directory, extensions, ignorePatterns, maxFiles);
+      const files = await fileDiscovery.find(directory, { extensions, maxFiles });
       logger.info(`Found ${files.length} files to analyze`);
 
-      let processed = 0;
-      for (const filePath of files) {
-        await this.analyzeFile(filePath, directory);
-        processed++;
+      const tasks = files.map(filePath => ({ kind: 'learn', filePath, rootDirectory: directory }));
+      await runTasks(tasks, {
+        jobs,
+        workerUrl: ANALYSIS_WORKER,
+        workerData: { cache: cache?.options },
+        runLocally: ({ filePath }) => PatternLearner.countFile(filePath, directory, cache)
+      }, (counts, index) => {
+        // Adding each file's counts in file order gives the same totals and map order whichever thread counted them
+        this.mergePatterns(this.patterns, counts);
         
-        if (processed % 50 === 0) {
-          logger.info(`Processed ${processed}/${files.length} files...`);
+        if ((index + 1) % 50 === 0) {
+          logger.info(`Processed ${index + 1}/${files.length} files...`);
         }
-      }
+      });
 
       const learnedPatterns = this.consolidatePatterns();
       logger.info('Pattern learning completed successfully');
@@ -72,59 +85,62 @@ export default class PatternLearner {
     }
   }
 
-  async findCodeFiles(directory, extensions, ignorePatterns, maxFiles) {
-    const files = [];
-    const stack = [directory];
+  // Pattern counts of a single file, reused from the cache while its path and content are unchanged
+  static async countFile(filePath, rootDirectory, cache = null) {
+    const learner = new PatternLearner();
+    let content = null;
+    let key = null;
 
-    while (stack.length > 0 && files.length < maxFiles) {
-      const currentDir = stack.pop();
-      
+    if (cache?.enabled) {
       try {
-        const entries = await fs.readdir(currentDir, { withFileTypes: true });
-        
-        for (const entry of entries) {
-          const fullPath = path.join(currentDir, entry.name);
-          
-          if (entry.isDirectory()) {
-            const shouldIgnore = ignorePatterns.some(pattern => 
-              entry.name.includes(pattern) || fullPath.includes(pattern)
-            );
-            
-            if (!shouldIgnore) {
-              stack.push(fullPath);
-            }
-          } else if (entry.isFile()) {
-            const ext = path.extname(entry.name);
-            if (extensions.includes(ext)) {
-              files.push(fullPath);
-            }
-          }
-        }
-      } catch (error) {
-        logger.warn(`Skipping directory ${currentDir}: ${error.message}`);
+        content = await fs.readFile(filePath, 'utf-8');
+        key = cache.key(path.relative(rootDirectory, filePath), content);
+        const cached = await cache.get('learn', key);
+        if (cached) return cached;
+      } catch {
+        // analyzeFile reports unreadable files
       }
     }
 
-    return files;
+    if (await learner.analyzeFile(filePath, rootDirectory, content) && key) {
+      await cache.set('learn', key, learner.patterns);
+    }
+    return learner.patterns;
   }
 
-  async analyzeFile(filePath, rootDirectory) {
+  async analyzeFile(filePath, rootDirectory, content = null) {
     try {
-      const content = await fs.readFile(filePath, 'utf-8');
+      const file = createFileContext(content ?? await fs.readFile(filePath, 'utf-8'), filePath);
       const relativePath = path.relative(rootDirectory, filePath);
       
-      this.analyzeNamingPatterns(content, filePath);
-      this.analyzeImportPatterns(content, relativePath);
+      this.analyzeNamingPatterns(file, filePath);
+      this.analyzeImportPatterns(file);
       this.analyzeArchitecturePatterns(filePath, relativePath);
-      this.analyzeTestingPatterns(content, filePath);
-      this.analyzeCommentPatterns(content);
+      this.analyzeTestingPatterns(file.content, filePath, relativePath);
+      this.analyzeCommentPatterns(file);
+      return true;
       
     } catch (error) {
       logger.warn(`Error analyzing ${filePath}: ${error.message}`);
+      return false;
     }
   }
 
-  analyzeNamingPatterns(content, filePath) {
+  mergePatterns(target, source) {
+    for (const [key, value] of Object.entries(source)) {
+      if (typeof value === 'number') {
+        target[key] += value;
+      } else if (value instanceof Map) {
+        value.forEach((count, name) => target[key].set(name, (target[key].get(name) || 0) + count));
+      } else if (value instanceof Set) {
+        value.forEach(item => target[key].add(item));
+      } else {
+        this.mergePatterns(target[key], value);
+      }
+    }
+  }
+
+  analyzeNamingPatterns(file, filePath) {
     const fileName = path.basename(filePath, path.extname(filePath));
     
     if (this.isCamelCase(fileName)) this.patterns.naming.files.camelCase++;
@@ -132,8 +148,8 @@ export default class PatternLearner {
     else if (this.isSnakeCase(fileName)) this.patterns.naming.files.snake_case++;
     else if (this.isPascalCase(fileName)) this.patterns.naming.files.PascalCase++;
 
-    const variableMatches = content.match(/(?:let|const|var)\s+([a-zA-Z_$][a-zA-Z0-9_$]*)/g) || [];
-    const functionMatches = content.match(/(?:function\s+([a-zA-Z_$][a-zA-Z0-9_$]*)|(?:const|let)\s+([a-zA-Z_$][a-zA-Z0-9_$]*)\s*=\s*(?:async\s+)?\()/g) || [];
+    const variableMatches = this.matchCode(file, /(?:let|const|var)\s+([a-zA-Z_$][a-zA-Z0-9_$]*)/g);
+    const functionMatches = this.matchCode(file, /(?:function\s+([a-zA-Z_$][a-zA-Z0-9_$]*)|(?:const|let)\s+([a-zA-Z_$][a-zA-Z0-9_$]*)\s*=\s*(?:async\s+)?\()/g);
 
     variableMatches.forEach(match => {
       const varName = match.split(/\s+/)[1];
@@ -151,12 +167,12 @@ export default class PatternLearner {
       }
     });
 
-    const constantMatches = content.match(/const\s+([A-Z][A-Z0-9_]*)\s*=/g) || [];
+    const constantMatches = this.matchCode(file, /const\s+([A-Z][A-Z0-9_]*)\s*=/g);
     constantMatches.forEach(() => this.patterns.naming.constants.UPPER_CASE++);
   }
 
-  analyzeImportPatterns(content, relativePath) {
-    const importMatches = content.match(/import\s+.*?\s+from\s+['"`]([^'"`]+)['"`]/g) || [];
+  analyzeImportPatterns(file) {
+    const importMatches = this.matchCode(file, /import\s+.*?\s+from\s+['"`]([^'"`]+)['"`]/g);
     
     importMatches.forEach(importStatement => {
       const pathMatch = importStatement.match(/from\s+['"`]([^'"`]+)['"`]/);
@@ -183,8 +199,8 @@ export default class PatternLearner {
       }
     });
 
-    const namedExports = (content.match(/export\s+(?:const|let|var|function|class)/g) || []).length;
-    const defaultExports = (content.match(/export\s+default/g) || []).length;
+    const namedExports = this.matchCode(file, /export\s+(?:const|let|var|function|class)/g).length;
+    const defaultExports = this.matchCode(file, /export\s+default/g).length;
     
     if (namedExports > 0 && defaultExports > 0) this.patterns.architecture.exportStyles.mixed++;
     else if (namedExports > 0) this.patterns.architecture.exportStyles.named++;
@@ -209,7 +225,7 @@ export default class PatternLearner {
     );
   }
 
-  analyzeTestingPatterns(content, filePath) {
+  analyzeTestingPatterns(content, filePath, relativePath = filePath) {
     const fileName = path.basename(filePath);
     const isTestFile = fileName.includes('.test.') || fileName.includes('.spec.') || 
                       fileName.endsWith('Test.js') || fileName.endsWith('Spec.js');
@@ -218,6 +234,16 @@ export default class PatternLearner {
       if (fileName.includes('.spec.')) this.patterns.testing.fileNaming.spec++;
       if (fileName.includes('.test.')) this.patterns.testing.fileNaming.test++;
 
+      const testDirectory = path.dirname(relativePath).split(path.sep)
+        .find(segment => TEST_DIRECTORIES.includes(segment));
+      if (testDirectory) {
+        this.patterns.testing.location.separate++;
+        this.patterns.testing.directories.set(testDirectory,
+          (this.patterns.testing.directories.get(testDirectory) || 0) + 1);
+      } else {
+        this.patterns.testing.location.colocated++;
+      }
+
       if (content.includes('describe(') || content.includes('it(')) {
         this.patterns.testing.framework.set('jest/mocha', 
           (this.patterns.testing.framework.get('jest/mocha') || 0) + 1);
@@ -229,18 +255,17 @@ export default class PatternLearner {
     }
   }
 
-  analyzeCommentPatterns(content) {
-    const singleLineComments = (content.match(/\/\/.*$/gm) || []).length;
-    const multiLineComments = (content.match(/\/\*[\s\S]*?\*\//g) || []).length;
-    const jsdocComments = (content.match(/\/\*\*[\s\S]*?\*\//g) || []).length;
+  analyzeCommentPatterns(file) {
+    const singleLineComments = file.comments.filter(comment => comment.type === 'Line').length;
+    const multiLineComments = file.comments.filter(comment => comment.type === 'Block').length;
+    const jsdocComments = file.comments.filter(comment => comment.type === 'Block' && comment.value.startsWith('*')).length;
 
     this.patterns.comments.style.single += singleLineComments;
     this.patterns.comments.style.multi += multiLineComments;
     this.patterns.comments.style.jsdoc += jsdocComments;
 
-    const lines = content.split('\n').length;
     const totalComments = singleLineComments + multiLineComments + jsdocComments;
-    const density = totalComments / lines;
+    const density = totalComments / file.lineCount;
 
     if (density > 0.2) this.patterns.comments.density.high++;
     else if (density > 0.1) this.patterns.comments.density.medium++;
@@ -248,6 +273,11 @@ export default class PatternLearner {
     else this.patterns.comments.density.none++;
   }
 
+  matchCode(file, regex) {
+    // Text that only looks like a declaration inside a comment or string would skew the counts
+    return [...file.content.matchAll(regex)].filter(match => file.isCode(match.index)).map(match => match[0]);
+  }
+
   consolidatePatterns() {
     return {
       timestamp: new Date().toISOString(),
@@ -303,8 +333,12 @@ export default class PatternLearner {
   }
 
   getTestingRecommendations() {
+    // Without any test files there is nothing to recommend, rather than the first option winning a 0-0 tie
+    const getObserved = (counts) => Object.values(counts).some(count => count > 0) ? this.getMostCommon(counts) : null;
     return {
-      fileNaming: this.getMostCommon(this.patterns.testing.fileNaming),
+      fileNaming: getObserved(this.patterns.testing.fileNaming),
+      location: getObserved(this.patterns.testing.location),
+      directory: this.getMostCommonFromMap(this.patterns.testing.directories),
       framework: this.getMostCommonFromMap(this.patterns.testing.framework)
     };
   }
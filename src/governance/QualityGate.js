@@ -0,0 +1,69 @@
+import { logger } from '../utils/logger.js';
+
+const SEVERITY_ORDER = ['info', 'low', 'medium', 'high', 'critical'];
+
+export const EXIT_CODES = {
+  PASS: 0,
+  POLICY_FAILURE: 1,
+  TOOL_ERROR: 2
+};
+
+export default class QualityGate {
+  constructor(options = {}) {
+    this.failOn = options.failOn && options.failOn !== 'none' ? options.failOn : null;
+    this.maxViolations = options.maxViolations !== undefined ? Number(options.maxViolations) : null;
+    this.minScore = options.minScore !== undefined ? Number(options.minScore) : null;
+
+    if (this.failOn && !SEVERITY_ORDER.includes(this.failOn)) {
+      throw new Error(`Invalid --fail-on severity '${this.failOn}'. Use one of: none, ${SEVERITY_ORDER.join(', ')}`);
+    }
+    if (this.maxViolations !== null && (!Number.isInteger(this.maxViolations) || this.maxViolations < 0)) {
+      throw new Error(`Invalid --max-violations value '${options.maxViolations}'`);
+    }
+    if (this.minScore !== null && Number.isNaN(this.minScore)) {
+      throw new Error(`Invalid --min-score value '${options.minScore}'`);
+    }
+  }
+
+  isEnabled() {
+    return this.failOn !== null || this.maxViolations !== null || this.minScore !== null;
+  }
+
+  evaluate({ violations = [], score = null } = {}) {
+    const failures = [];
+
+    if (this.failOn) {
+      const threshold = SEVERITY_ORDER.indexOf(this.failOn);
+      const blocking = violations.filter(v => SEVERITY_ORDER.indexOf(v.severity) >= threshold);
+      if (blocking.length > 0) {
+        failures.push(`${blocking.length} violation(s) at or above ${this.failOn} severity`);
+      }
+    }
+
+    if (this.maxViolations !== null && violations.length > this.maxViolations) {
+      failures.push(`${violations.length} violations exceed the maximum of ${this.maxViolations}`);
+    }
+
+    if (this.minScore !== null && score !== null && score < this.minScore) {
+      failures.push(`Score ${score} is below the minimum of ${this.minScore}`);
+    }
+
+    return {
+      passed: failures.length === 0,
+      failures,
+      exitCode: failures.length === 0 ? EXIT_CODES.PASS : EXIT_CODES.POLICY_FAILURE
+    };
+  }
+
+  report(result) {
+    if (!this.isEnabled()) return;
+
+    if (result.passed) {
+      logger.success('Quality gate passed');
+      return;
+    }
+
+    logger.error('Quality gate failed:');
+    result.failures.forEach(failure => logger.error(`  • ${failure}`));
+  }
+}
@@ -1,22 +1,308 @@
 import fs from 'fs/promises';
 import path from 'path';
 import { logger } from '../utils/logger.js';
+import { walkAst, parseSelector, matchSelector, getCalleeName, getPropertyName, getNodeLocation } from '../utils/astParser.js';
+import { toFileContext } from '../utils/fileContext.js';
+import { isFileIncluded, matchesGlob, matchesPattern, toPosixPath } from '../utils/globMatcher.js';
+import { importModule, isRelativeSpecifier, resolveImport } from '../utils/moduleResolver.js';
+import { FileDiscovery } from '../utils/fileDiscovery.js';
+import { hashValue } from '../utils/analysisCache.js';
+import InlineSuppressions from './InlineSuppressions.js';
+import SecretScanner from './SecretScanner.js';
+import ImportGraph from './ImportGraph.js';
+import ArchitectureLayers from './ArchitectureLayers.js';
+import DependencyPolicy from './DependencyPolicy.js';
+import Deprecations from './Deprecations.js';
+
+const GLOBAL_OBJECTS = ['window', 'globalThis', 'global', 'self'];
+const PRESET_PREFIX = 'manasx:';
+const SEVERITIES = ['low', 'medium', 'high', 'critical'];
+const TEST_DIRECTORIES = ['__tests__', 'test', 'tests', 'spec', 'specs'];
+const DEFAULT_TEST_EXEMPTIONS = ['**/index.*', '**/*.config.*', '**/*.d.ts', '**/__mocks__/**', '**/__fixtures__/**'];
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function deepMerge(base, override) {
+  const merged = { ...base };
+  for (const [key, value] of Object.entries(override)) {
+    merged[key] = isPlainObject(value) && isPlainObject(base[key]) ? deepMerge(base[key], value) : value;
+  }
+  return merged;
+}
 
 export default class RuleEngine {
-  constructor() {
+  constructor(options = {}) {
+    this.cache = options.cache || null;
+    this.configurationHash = undefined;
+    this.patternsHash = null;
     this.rules = new Map();
     this.exceptions = new Map();
+    this.expiredExceptions = [];
     this.ruleHistory = [];
+    this.plugins = [];
+    this.pluginRules = new Map();
+    this.overrides = [];
+    this.secretScanners = new Map();
+    this.architecture = {};
+    this.importGraph = null;
+    this.architectureLayers = null;
+    this.dependencies = {};
+    this.dependencyPolicy = null;
+    this.deprecations = null;
+    this.fileDiscovery = null;
+    this.configuration = null;
+    this.builtinRules = this.initializeBuiltinRules();
+  }
+
+  initializeBuiltinRules() {
+    return {
+      'security/no-eval': {
+        description: 'Prohibits the use of eval()',
+        check: (context) => {
+          const message = context.rule.parameters?.message || 'eval() usage is prohibited for security reasons';
+          if (!context.ast) {
+            return context.matchText(/(?<![\w$.])eval\s*\(/g, () => message);
+          }
+
+          const violations = [];
+          walkAst(context.ast, {
+            CallExpression: (node) => {
+              if (this.isGlobalCall(node, 'eval')) {
+                violations.push(context.report(node, message));
+              }
+            }
+          });
+          return violations;
+        }
+      },
+
+      'security/no-dangerous-html': {
+        description: 'Prohibits direct innerHTML/outerHTML assignment',
+        check: (context) => {
+          const dangerousProperties = ['innerHTML', 'outerHTML'];
+          const getMessage = (property) => `Direct ${property} manipulation can lead to XSS vulnerabilities`;
+          if (!context.ast) {
+            return context.matchText(/\.(innerHTML|outerHTML)\s*\+?=(?!=)/g, (match) => getMessage(match[1]));
+          }
+
+          const violations = [];
+          walkAst(context.ast, {
+            AssignmentExpression: (node) => {
+              if (node.left.type !== 'MemberExpression') return;
+              const property = getPropertyName(node.left);
+              if (dangerousProperties.includes(property)) {
+                violations.push(context.report(node.left, getMessage(property)));
+              }
+            }
+          });
+          return violations;
+        }
+      },
+
+      'security/require-company-fetch': {
+        description: 'Requires the company fetch wrapper instead of raw fetch()',
+        check: (context) => {
+          const wrapperName = context.rule.parameters?.wrapperName || 'companyFetch';
+          const message = `Use ${wrapperName} instead of raw fetch()`;
+          if (!context.ast) {
+            if (context.content.includes(wrapperName)) return [];
+            return context.matchText(/(?<![\w$.])fetch\s*\(/g, () => message);
+          }
+
+          const violations = [];
+          walkAst(context.ast, {
+            CallExpression: (node, ancestors) => {
+              if (this.isGlobalCall(node, 'fetch') && !this.isInsideFunctionNamed(ancestors, wrapperName)) {
+                violations.push(context.report(node.callee, message));
+              }
+            }
+          });
+          return violations;
+        }
+      },
+
+      'security/no-hardcoded-secrets': {
+        description: 'Prohibits hardcoded API keys, private keys, tokens and passwords',
+        crossFile: true,
+        check: async (context) => {
+          const scanner = await this.getSecretScanner(context.rule.parameters);
+          return scanner.scan(context.content, context.filePath).map(finding =>
+            context.reportAt(finding.index, finding.length, `${finding.name} detected: ${finding.masked}`));
+        }
+      },
+
+      'performance/no-sync-fs': {
+        description: 'Prohibits synchronous file system calls',
+        check: (context) => {
+          const syncMethods = context.rule.parameters?.methods || ['readFileSync', 'writeFileSync', 'statSync'];
+          const getMessage = (method) => `Avoid synchronous file operation: ${method}`;
+          if (!context.ast) {
+            const pattern = new RegExp(`\\b(${syncMethods.join('|')})\\s*\\(`, 'g');
+            return context.matchText(pattern, (match) => getMessage(match[1]));
+          }
+
+          const violations = [];
+          walkAst(context.ast, {
+            CallExpression: (node) => {
+              const method = getCalleeName(node);
+              if (syncMethods.includes(method)) {
+                violations.push(context.report(node.callee, getMessage(method)));
+              }
+            }
+          });
+          return violations;
+        }
+      },
+
+      'architecture/feature-folder-structure': {
+        description: 'Requires files to live inside a feature folder',
+        check: (context) => {
+          if (this.followsFeatureFolderStructure(context.relativePath)) return [];
+          return [context.reportAt(0, 0, 'File should follow feature folder structure')];
+        }
+      },
+
+      'testing/require-test-file': {
+        description: 'Requires a test file for each source file, following the learned test layout',
+        crossFile: true,
+        check: async (context) => {
+          const { minLines = 20, exempt = DEFAULT_TEST_EXEMPTIONS } = context.rule.parameters || {};
+          if (this.isTestFile(context.relativePath) || matchesGlob(context.relativePath, exempt)) return [];
+          if (context.source.lineCount < minLines) return [];
+
+          const layout = this.getTestLayout(context.rule, context.learnedPatterns);
+          const expected = this.getExpectedTestFileName(context.relativePath, layout);
+          try {
+            await fs.access(path.resolve(expected));
+            return [];
+          } catch {
+            return [context.reportAt(0, 0, `Missing test file: expected ${toPosixPath(expected)}`)];
+          }
+        }
+      },
+
+      'architecture/layer-boundaries': {
+        description: 'Forbids imports between architecture layers that the configuration does not allow',
+        crossFile: true,
+        check: async (context) => {
+          const layers = await this.getArchitectureLayers();
+          if (!layers.hasLayers()) return [];
+
+          const violations = await layers.findViolations(context.filePath, context.source);
+          return violations.map(violation => context.reportAt(violation.index, violation.length,
+            `Layer '${violation.fromLayer}' must not import layer '${violation.toLayer}': ${violation.chain.join(' → ')}`));
+        }
+      },
+
+      'architecture/no-circular-imports': {
+        description: 'Forbids import cycles between modules',
+        crossFile: true,
+        check: async (context) => {
+          const graph = await this.getImportGraph();
+          const node = await graph.addFile(context.filePath, context.source);
+          const cycle = await graph.findShortestCycle(node.file);
+          if (!cycle) return [];
+
+          const edge = node.edges.find(candidate => candidate.target === cycle[1]);
+          const chain = cycle.map(file => graph.relative(file));
+          return [{
+            ...context.reportAt(edge.index, edge.length, `Circular import: ${chain.join(' → ')}`),
+            cycle: chain
+          }];
+        }
+      },
+
+      'imports/dependency-policy': {
+        description: 'Enforces the banned and allowed packages, versions and licenses declared under "dependencies"',
+        crossFile: true,
+        check: async (context) => {
+          const graph = await this.getImportGraph();
+          const policy = this.getDependencyPolicy();
+          const violations = [];
+
+          for (const entry of graph.extractImports(context.source, context.filePath)) {
+            const name = DependencyPolicy.getPackageName(entry.specifier);
+            // Aliases such as @/components look like packages but resolve to project files
+            if (!name || await graph.resolveImport(entry.specifier, path.resolve(context.filePath))) continue;
+
+            const issues = await policy.checkPackage(name, {
+              fromDir: path.dirname(path.resolve(context.filePath)),
+              builtin: policy.isBuiltin(entry.specifier)
+            });
+            issues.forEach(issue => violations.push(context.reportAt(entry.index, entry.length, issue.message)));
+          }
+          return violations;
+        }
+      },
+
+      'deprecations/node-apis': {
+        description: 'Flags deprecated Node.js and JavaScript APIs and names their replacements',
+        check: (context) => {
+          const deprecations = this.getDeprecations();
+          if (!context.ast) {
+            return deprecations.findTextDeprecations(context.content).map(finding => ({
+              ...context.reportAt(finding.index, finding.length, Deprecations.formatMessage(finding.entry)),
+              replacement: finding.entry.replacement
+            }));
+          }
+
+          return deprecations.findNodeDeprecations(context.ast, context.source.scopeManager, context.source.moduleBindings).map(finding => ({
+            ...context.report(finding.node, Deprecations.formatMessage(finding.entry)),
+            replacement: finding.entry.replacement
+          }));
+        }
+      },
+
+      'deprecations/package-apis': {
+        description: 'Flags APIs that installed packages mark @deprecated in their typings',
+        crossFile: true,
+        check: async (context) => {
+          if (!context.ast) return [];
+
+          const findings = await this.getDeprecations().findPackageDeprecations(context.ast, path.dirname(path.resolve(context.filePath)), context.source.moduleBindings);
+          return findings.map(finding => ({
+            ...context.report(finding.node, `'${finding.name}' from '${finding.specifier}' is deprecated${finding.reason ? `: ${finding.reason}` : ''}`),
+            replacement: finding.reason || null
+          }));
+        }
+      },
+
+      'naming/camelcase-variables': {
+        description: 'Requires camelCase variable names when that is the learned convention',
+        check: (context) => {
+          if (context.learnedPatterns?.recommendations?.naming?.variables !== 'camelCase') return [];
+
+          const getMessage = (name) => `Variable '${name}' should use camelCase naming`;
+          const isViolation = (name) => !['camelCase', 'unknown'].includes(this.detectNamingStyle(name));
+          if (!context.ast) {
+            return context.matchText(/(?:let|const|var)\s+([a-zA-Z_$][a-zA-Z0-9_$]*)/g, (match) =>
+              isViolation(match[1]) ? getMessage(match[1]) : null);
+          }
+
+          const violations = [];
+          walkAst(context.ast, {
+            VariableDeclarator: (node) => {
+              if (node.id.type === 'Identifier' && isViolation(node.id.name)) {
+                violations.push(context.report(node.id, getMessage(node.id.name)));
+              }
+            }
+          });
+          return violations;
+        }
+      }
+    };
   }
 
   async loadRules(configPath = 'manasx-rules.json') {
     try {
       const resolvedPath = await this.findConfigFile(configPath);
       const content = await fs.readFile(resolvedPath, 'utf-8');
-      const config = JSON.parse(content);
+      const config = await this.resolveExtends(JSON.parse(content), path.dirname(resolvedPath), [resolvedPath]);
       
       this.validateConfiguration(config);
-      await this.processConfiguration(config);
+      await this.processConfiguration(config, path.dirname(resolvedPath));
       
       logger.info(`Rules loaded from ${resolvedPath}`);
       return config;
@@ -25,7 +311,10 @@ export default class RuleEngine {
         logger.warn(`No rule configuration found at ${configPath}. Using default rules.`);
         return this.getDefaultConfiguration();
       }
-      logger.error(`Error loading rules: ${error.message}`);
+      // A missing file is a supported setup that every caller reports with its own fallback; only broken files are errors
+      if (error.code !== 'ERR_CONFIG_NOT_FOUND') {
+        logger.error(`Error loading rules: ${error.message}`);
+      }
       throw error;
     }
   }
@@ -45,7 +334,7 @@ export default class RuleEngine {
       currentDir = path.dirname(currentDir);
     }
     
-    throw new Error(`Configuration file ${fileName} not found`);
+    throw Object.assign(new Error(`Configuration file ${fileName} not found`), { code: 'ERR_CONFIG_NOT_FOUND' });
   }
 
   validateConfiguration(config) {
@@ -64,33 +353,147 @@ export default class RuleEngine {
       }
     }
     
-    const validCategories = ['security', 'performance', 'architecture', 'naming', 'imports', 'testing', 'comments'];
+    const validCategories = ['security', 'performance', 'architecture', 'naming', 'imports', 'deprecations', 'testing', 'comments'];
     const ruleCategories = Object.keys(config.rules);
+    const pluginNamespaces = (config.plugins || []).map(specifier => this.getPluginNamespace(specifier));
     
     for (const category of ruleCategories) {
-      if (!validCategories.includes(category)) {
+      const isCustomCategory = pluginNamespaces.includes(category) ||
+        Object.values(config.rules[category].rules || {}).some(rule => rule.pattern || rule.selector);
+
+      if (!validCategories.includes(category) && !isCustomCategory) {
         logger.warn(`Unknown rule category: ${category}`);
       }
     }
+
+    (config.overrides || []).forEach((override, index) => {
+      if (!override.files || override.files.length === 0) {
+        throw new Error(`Override #${index + 1} must list the files it applies to`);
+      }
+      for (const [ruleId, setting] of Object.entries(override.rules || {})) {
+        if (!this.normalizeOverrideSetting(setting)) {
+          throw new Error(`Override #${index + 1} has an invalid setting for ${ruleId}: ${JSON.stringify(setting)}`);
+        }
+      }
+    });
+  }
+
+  async resolveExtends(config, baseDir, chain = []) {
+    if (!config.extends) return config;
+
+    const { extends: parents, ...ownConfig } = config;
+    let resolved = {};
+
+    for (const specifier of Array.isArray(parents) ? parents : [parents]) {
+      const { config: parentConfig, id, dir } = await this.loadSharedConfig(specifier, baseDir);
+      if (chain.includes(id)) {
+        throw new Error(`Circular extends: ${[...chain, id].join(' -> ')}`);
+      }
+
+      const parent = await this.resolveExtends(parentConfig, dir, [...chain, id]);
+      resolved = this.mergeConfigurations(resolved, parent);
+    }
+
+    return this.mergeConfigurations(resolved, ownConfig);
   }
 
-  async processConfiguration(config) {
+  async loadSharedConfig(specifier, baseDir) {
+    if (specifier.startsWith(PRESET_PREFIX)) {
+      const preset = this.getPresetConfiguration(specifier.slice(PRESET_PREFIX.length));
+      if (!preset) {
+        throw new Error(`Unknown preset '${specifier}'. Available presets: ${Object.keys(this.getPresets()).map(name => PRESET_PREFIX + name).join(', ')}`);
+      }
+      return { config: preset, id: specifier, dir: baseDir };
+    }
+
+    let configPath;
+    try {
+      configPath = await resolveImport(specifier, baseDir);
+    } catch (error) {
+      throw new Error(`Could not resolve extended configuration '${specifier}': ${error.message}`);
+    }
+
+    let config;
+    try {
+      if (path.extname(configPath) === '.json') {
+        config = JSON.parse(await fs.readFile(configPath, 'utf-8'));
+      } else {
+        const configModule = await importModule(configPath, baseDir);
+        config = configModule.default || configModule;
+      }
+    } catch (error) {
+      throw new Error(`Could not load extended configuration '${specifier}': ${error.message}`);
+    }
+
+    const dir = path.dirname(configPath);
+    // Relative plugin paths belong to the file that declares them, not to the extending config
+    if (config.plugins) {
+      config = {
+        ...config,
+        plugins: config.plugins.map(plugin => isRelativeSpecifier(plugin) ? path.resolve(dir, plugin) : plugin)
+      };
+    }
+
+    return { config, id: configPath, dir };
+  }
+
+  mergeConfigurations(base, override) {
+    const merged = deepMerge(base, override);
+
+    // Exceptions, overrides and plugins accumulate down the extends chain instead of replacing each other
+    if (base.exceptions || override.exceptions) {
+      merged.exceptions = [...(base.exceptions || []), ...(override.exceptions || [])];
+    }
+    if (base.overrides || override.overrides) {
+      merged.overrides = [...(base.overrides || []), ...(override.overrides || [])];
+    }
+    if (base.plugins || override.plugins) {
+      merged.plugins = [...new Set([...(base.plugins || []), ...(override.plugins || [])])];
+    }
+
+    return merged;
+  }
+
+  async processConfiguration(config, baseDir = process.cwd()) {
+    config = await this.resolveExtends(config, baseDir);
     this.metadata = config.metadata;
     this.globalSettings = config.global || {};
+    // Alias targets are relative to the configuration file that declares them
+    this.architecture = { ...config.architecture, baseDir };
+    this.importGraph = null;
+    this.architectureLayers = null;
+    this.dependencies = config.dependencies || {};
+    this.dependencyPolicy = null;
+    this.deprecations = null;
+    this.fileDiscovery = null;
+
+    if (config.plugins) {
+      await this.loadPlugins(config.plugins, baseDir);
+    }
     
     for (const [category, categoryRules] of Object.entries(config.rules)) {
       this.processRuleCategory(category, categoryRules);
     }
+
+    this.registerPluginRules(config.rules);
     
     if (config.exceptions) {
       this.processExceptions(config.exceptions);
     }
+
+    if (config.overrides) {
+      this.processOverrides(config.overrides);
+    }
     
     this.ruleHistory.push({
       timestamp: new Date().toISOString(),
       version: config.metadata.version,
       rulesCount: this.rules.size
     });
+
+    // Worker threads rebuild an identical engine from the resolved configuration
+    this.configuration = { config, baseDir };
+    this.configurationHash = undefined;
   }
 
   processRuleCategory(category, categoryRules) {
@@ -101,26 +504,304 @@ export default class RuleEngine {
     
     for (const [ruleId, ruleConfig] of Object.entries(categoryRules.rules || {})) {
       const fullRuleId = `${category}/${ruleId}`;
+      const pluginRule = this.pluginRules.get(fullRuleId);
       
       const rule = {
         id: fullRuleId,
         category,
-        name: ruleConfig.name || ruleId,
-        description: ruleConfig.description || '',
-        severity: ruleConfig.severity || 'medium',
+        name: ruleConfig.name || pluginRule?.meta?.name || ruleId,
+        description: ruleConfig.description || pluginRule?.meta?.description || '',
+        severity: ruleConfig.severity || pluginRule?.severity || this.globalSettings?.severity || 'medium',
         enabled: ruleConfig.enabled !== false,
-        parameters: ruleConfig.parameters || {}
+        autofix: ruleConfig.autofix,
+        parameters: ruleConfig.parameters || {},
+        files: ruleConfig.files,
+        ignores: ruleConfig.ignores
       };
+
+      if (pluginRule) {
+        rule.plugin = pluginRule.plugin;
+        rule.check = this.wrapPluginCheck(pluginRule);
+      }
+
+      if (ruleConfig.pattern || ruleConfig.selector) {
+        rule.declarative = true;
+        rule.check = this.compileDeclarativeRule(fullRuleId, ruleConfig);
+      }
       
       this.rules.set(fullRuleId, rule);
     }
   }
 
+  async loadPlugins(specifiers, baseDir) {
+    for (const specifier of specifiers) {
+      let pluginModule;
+      try {
+        pluginModule = await importModule(specifier, baseDir);
+      } catch (error) {
+        throw new Error(`Could not load rule plugin '${specifier}': ${error.message}`);
+      }
+
+      const plugin = pluginModule.default || pluginModule;
+      if (!plugin.rules || typeof plugin.rules !== 'object') {
+        throw new Error(`Rule plugin '${specifier}' does not export any rules`);
+      }
+
+      const namespace = plugin.name || this.getPluginNamespace(specifier);
+      for (const [ruleId, definition] of Object.entries(plugin.rules)) {
+        if (typeof definition.check !== 'function') {
+          throw new Error(`Plugin rule ${namespace}/${ruleId} is missing a check(context) function`);
+        }
+        this.pluginRules.set(`${namespace}/${ruleId}`, { ...definition, plugin: namespace });
+      }
+
+      this.plugins.push({ name: namespace, specifier, rules: Object.keys(plugin.rules) });
+      logger.info(`Loaded rule plugin ${namespace} (${Object.keys(plugin.rules).length} rules)`);
+    }
+  }
+
+  getPluginNamespace(specifier) {
+    if (isRelativeSpecifier(specifier)) {
+      return path.basename(specifier, path.extname(specifier));
+    }
+    return specifier.replace(/^@[^/]+\//, '').replace(/^manasx-plugin-/, '');
+  }
+
+  registerPluginRules(ruleCategories) {
+    for (const fullRuleId of this.pluginRules.keys()) {
+      if (this.rules.has(fullRuleId)) continue;
+
+      const separator = fullRuleId.indexOf('/');
+      const category = fullRuleId.slice(0, separator);
+      const ruleId = fullRuleId.slice(separator + 1);
+
+      // Plugin rules are on by default unless their category is configured and disabled
+      if (ruleCategories[category] && !ruleCategories[category].enabled) continue;
+
+      this.processRuleCategory(category, { enabled: true, rules: { [ruleId]: {} } });
+    }
+  }
+
+  wrapPluginCheck(pluginRule) {
+    return async (context) => {
+      const results = await pluginRule.check({
+        ...context,
+        file: context.relativePath,
+        options: context.rule.parameters
+      });
+
+      return (results || []).map(result => result.ruleId ? result : {
+        ruleId: context.rule.id,
+        severity: context.rule.severity,
+        file: context.relativePath,
+        line: 1,
+        category: context.rule.category,
+        ...result
+      });
+    };
+  }
+
+  compileDeclarativeRule(ruleId, ruleConfig) {
+    const template = ruleConfig.message || `Code matches restricted pattern for rule ${ruleId}`;
+
+    if (ruleConfig.selector) {
+      let selector;
+      try {
+        selector = parseSelector(ruleConfig.selector);
+      } catch (error) {
+        throw new Error(`Rule ${ruleId} has an invalid selector '${ruleConfig.selector}': ${error.message}`);
+      }
+
+      return (context) => {
+        if (!context.ast) return [];
+
+        return matchSelector(context.ast, selector).map(node => {
+          const location = getNodeLocation(node);
+          const message = this.renderMessage(template, {
+            match: context.content.slice(node.range[0], node.range[1]),
+            name: node.name || node.id?.name || (node.type === 'CallExpression' ? getCalleeName(node) : '') || '',
+            file: context.relativePath,
+            line: location.line,
+            column: location.column
+          });
+          return context.report(node, message);
+        });
+      };
+    }
+
+    let pattern;
+    try {
+      const flags = ruleConfig.flags || '';
+      pattern = new RegExp(ruleConfig.pattern, flags.includes('g') ? flags : `${flags}g`);
+    } catch (error) {
+      throw new Error(`Rule ${ruleId} has an invalid pattern '${ruleConfig.pattern}': ${error.message}`);
+    }
+
+    return (context) => {
+      const violations = [];
+
+      for (const match of context.content.matchAll(pattern)) {
+        if (match[0].length === 0) continue;
+
+        const location = context.source.getLocation(match.index, match[0].length);
+        const message = this.renderMessage(template, {
+          ...match.slice(1),
+          match: match[0],
+          file: context.relativePath,
+          line: location.line,
+          column: location.column
+        });
+        violations.push(context.reportAt(match.index, match[0].length, message));
+      }
+
+      return violations;
+    };
+  }
+
+  renderMessage(template, values) {
+    return template.replace(/\{\{\s*([\w$]+)\s*\}\}/g, (placeholder, key) => {
+      if (/^\d+$/.test(key)) {
+        return values[Number(key) - 1] ?? '';
+      }
+      return values[key] ?? placeholder;
+    });
+  }
+
   processExceptions(exceptions) {
+    const now = new Date();
+
     for (const exception of exceptions) {
-      const key = `${exception.file || '*'}:${exception.rule || '*'}`;
-      this.exceptions.set(key, exception);
+      const normalized = {
+        ...exception,
+        file: exception.file || '*',
+        rule: exception.rule || '*'
+      };
+      const key = `${normalized.file}:${normalized.rule}`;
+
+      if (this.isExceptionExpired(normalized, now)) {
+        this.expiredExceptions.push(normalized);
+        logger.warn(`Exception ${key} expired on ${normalized.expires} and no longer suppresses violations`);
+        continue;
+      }
+
+      this.exceptions.set(key, normalized);
+    }
+  }
+
+  processOverrides(overrides) {
+    for (const override of overrides) {
+      const rules = Object.entries(override.rules || {}).map(([ruleId, setting]) => ({
+        ruleId,
+        setting: this.normalizeOverrideSetting(setting)
+      }));
+
+      // Overrides may switch on rules that the base configuration never listed
+      for (const { ruleId, setting } of rules) {
+        if (this.rules.has(ruleId) || /[*?[{]/.test(ruleId)) continue;
+
+        if (!this.builtinRules[ruleId] && !this.pluginRules.has(ruleId)) {
+          logger.warn(`Override references unknown rule: ${ruleId}`);
+          continue;
+        }
+
+        const separator = ruleId.indexOf('/');
+        this.processRuleCategory(ruleId.slice(0, separator), {
+          enabled: true,
+          rules: { [ruleId.slice(separator + 1)]: { enabled: false, severity: setting.severity } }
+        });
+      }
+
+      this.overrides.push({
+        files: Array.isArray(override.files) ? override.files : [override.files],
+        excludedFiles: override.excludedFiles,
+        rules
+      });
+    }
+  }
+
+  normalizeOverrideSetting(setting) {
+    if (setting === 'off') return { enabled: false };
+    if (setting === 'on') return { enabled: true };
+    if (SEVERITIES.includes(setting)) return { enabled: true, severity: setting };
+    if (setting && typeof setting === 'object' && !Array.isArray(setting)) {
+      if (setting.severity !== undefined && !SEVERITIES.includes(setting.severity)) return null;
+      return setting;
     }
+    return null;
+  }
+
+  getEffectiveRules(filePath) {
+    const relativePath = path.isAbsolute(filePath) ? path.relative(process.cwd(), filePath) : filePath;
+    const effectiveRules = new Map(this.rules);
+
+    for (const override of this.overrides) {
+      if (!isFileIncluded(relativePath, { files: override.files, ignores: override.excludedFiles })) continue;
+
+      for (const { ruleId, setting } of override.rules) {
+        for (const [id, rule] of effectiveRules) {
+          if (!matchesPattern(id, ruleId)) continue;
+          effectiveRules.set(id, {
+            ...rule,
+            ...setting,
+            parameters: { ...rule.parameters, ...setting.parameters }
+          });
+        }
+      }
+    }
+
+    return effectiveRules;
+  }
+
+  isExceptionExpired(exception, now = new Date()) {
+    if (!exception.expires) return false;
+
+    const expiry = new Date(exception.expires);
+    if (Number.isNaN(expiry.getTime())) return true; // Unparseable dates fail closed
+
+    // A date-only expiry stays valid through the end of that day
+    if (/^\d{4}-\d{2}-\d{2}$/.test(exception.expires)) {
+      expiry.setUTCDate(expiry.getUTCDate() + 1);
+    }
+    return expiry <= now;
+  }
+
+  validateExceptions(exceptions = []) {
+    const errors = [];
+    const warnings = [];
+
+    exceptions.forEach((exception, index) => {
+      const label = `Exception #${index + 1} (${exception.file || '*'}:${exception.rule || '*'})`;
+
+      if (!exception.justification || !String(exception.justification).trim()) {
+        errors.push(`${label} has no justification`);
+      }
+      if (!exception.approvedBy) {
+        warnings.push(`${label} has no approvedBy`);
+      }
+      if (exception.expires) {
+        if (Number.isNaN(new Date(exception.expires).getTime())) {
+          errors.push(`${label} has an invalid expires date: ${exception.expires}`);
+        } else if (this.isExceptionExpired(exception)) {
+          warnings.push(`${label} expired on ${exception.expires}`);
+        }
+      }
+    });
+
+    return { errors, warnings };
+  }
+
+  getExpiredExceptions() {
+    return this.expiredExceptions;
+  }
+
+  findException(filePath, ruleId, exceptions = this.exceptions.values()) {
+    for (const exception of exceptions) {
+      const fileMatches = exception.file === '*' || matchesGlob(filePath, exception.file);
+      if (fileMatches && matchesPattern(ruleId, exception.rule)) {
+        return exception;
+      }
+    }
+    return null;
   }
 
   detectNamingStyle(name) {
@@ -131,20 +812,90 @@ export default class RuleEngine {
     return 'unknown';
   }
 
-  getLineNumber(content, index) {
-    return content.substring(0, index).split('\n').length;
-  }
-
   followsFeatureFolderStructure(relativePath) {
     const pathParts = relativePath.split('/');
     return pathParts.length >= 2; // At least feature/file.js
   }
 
-  getExpectedTestFileName(filePath) {
+  getImportGraph() {
+    if (!this.importGraph) {
+      this.importGraph = ImportGraph.create({
+        aliases: this.architecture.aliases,
+        aliasBaseDir: this.architecture.baseDir
+      });
+    }
+    return this.importGraph;
+  }
+
+  getArchitectureLayers() {
+    if (!this.architectureLayers) {
+      this.architectureLayers = this.getImportGraph().then(graph => new ArchitectureLayers(this.architecture.layers, graph));
+    }
+    return this.architectureLayers;
+  }
+
+  getDependencyPolicy() {
+    if (!this.dependencyPolicy) {
+      this.dependencyPolicy = new DependencyPolicy(this.dependencies);
+    }
+    return this.dependencyPolicy;
+  }
+
+  getDeprecations() {
+    if (!this.deprecations) {
+      this.deprecations = new Deprecations({ dependencyPolicy: this.getDependencyPolicy() });
+    }
+    return this.deprecations;
+  }
+
+  getFileDiscovery() {
+    if (!this.fileDiscovery) {
+      this.fileDiscovery = new FileDiscovery({ files: this.globalSettings?.files, ignores: this.globalSettings?.ignores });
+    }
+    return this.fileDiscovery;
+  }
+
+  async getSecretScanner(parameters = {}) {
+    const key = JSON.stringify([parameters.allowlist, parameters.kinds, parameters.minEntropy]);
+    if (!this.secretScanners.has(key)) {
+      // Cache the promise so concurrent checks share one allowlist read
+      this.secretScanners.set(key, new SecretScanner(parameters).loadAllowlist());
+    }
+    return this.secretScanners.get(key);
+  }
+
+  isTestFile(filePath) {
+    const fileName = path.basename(filePath);
+    return /\.(test|spec)\./.test(fileName) ||
+      path.dirname(filePath).split(path.sep).some(segment => TEST_DIRECTORIES.includes(segment));
+  }
+
+  getTestLayout(rule, learnedPatterns) {
+    const learned = learnedPatterns?.recommendations?.testing || {};
+    return {
+      naming: rule.parameters?.naming || learned.fileNaming || 'test',
+      location: rule.parameters?.location || learned.location || 'colocated',
+      directory: rule.parameters?.directory || learned.directory || '__tests__'
+    };
+  }
+
+  getExpectedTestFileName(filePath, layout = {}) {
+    const { naming = 'test', location = 'colocated', directory = '__tests__' } = layout;
     const ext = path.extname(filePath);
     const base = path.basename(filePath, ext);
     const dir = path.dirname(filePath);
-    return path.join(dir, `${base}.test${ext}`);
+    const testFileName = `${base}.${naming}${ext}`;
+
+    if (location !== 'separate') {
+      return path.join(dir, testFileName);
+    }
+    if (directory === '__tests__') {
+      return path.join(dir, directory, testFileName);
+    }
+
+    // A top-level test folder mirrors the source tree below its root folder: src/utils/a.js -> test/utils/a.test.js
+    const nested = dir === '.' ? [] : dir.split(path.sep).slice(1);
+    return path.join(directory, ...nested, testFileName);
   }
 
   getDefaultConfiguration() {
@@ -188,8 +939,131 @@ export default class RuleEngine {
     };
   }
 
+  getPresets() {
+    return {
+      recommended: {
+        metadata: {
+          version: '1.0.0',
+          name: 'manasx:recommended',
+          description: 'Security, performance and naming rules that suit most JavaScript projects'
+        },
+        global: {
+          severity: 'medium',
+          autofix: false
+        },
+        rules: {
+          security: {
+            enabled: true,
+            rules: {
+              'no-eval': {
+                name: 'Prohibit eval() usage',
+                description: 'The eval() function poses security risks and should not be used',
+                severity: 'critical',
+                enabled: true
+              },
+              'no-dangerous-html': {
+                name: 'Avoid dangerous HTML manipulation',
+                description: 'Direct innerHTML/outerHTML manipulation can lead to XSS vulnerabilities',
+                severity: 'high',
+                enabled: true
+              },
+              'no-hardcoded-secrets': {
+                name: 'No hardcoded secrets',
+                description: 'API keys, private keys, tokens and passwords belong in a secret store',
+                severity: 'critical',
+                enabled: true
+              }
+            }
+          },
+          performance: {
+            enabled: true,
+            rules: {
+              'no-sync-fs': {
+                name: 'Avoid synchronous file operations',
+                description: 'Synchronous file operations block the event loop',
+                severity: 'high',
+                enabled: true
+              }
+            }
+          },
+          deprecations: {
+            enabled: true,
+            rules: {
+              'node-apis': {
+                name: 'No deprecated Node.js APIs',
+                description: 'Deprecated APIs such as new Buffer(), substr() and url.parse() have safer replacements',
+                severity: 'medium',
+                enabled: true
+              }
+            }
+          },
+          naming: {
+            enabled: true,
+            rules: {
+              'camelcase-variables': {
+                name: 'Use camelCase for variables',
+                description: 'Variables should follow camelCase naming convention',
+                severity: 'low',
+                enabled: true
+              }
+            }
+          }
+        },
+        exceptions: []
+      },
+      strict: {
+        extends: `${PRESET_PREFIX}recommended`,
+        metadata: {
+          name: 'manasx:strict',
+          description: 'Recommended rules with deprecations raised to high and naming to medium, plus folder structure and every sync fs call'
+        },
+        rules: {
+          performance: {
+            rules: {
+              'no-sync-fs': {
+                parameters: {
+                  methods: ['readFileSync', 'writeFileSync', 'appendFileSync', 'statSync', 'lstatSync', 'readdirSync', 'existsSync', 'mkdirSync', 'unlinkSync', 'rmSync', 'copyFileSync', 'renameSync']
+                }
+              }
+            }
+          },
+          architecture: {
+            enabled: true,
+            rules: {
+              'feature-folder-structure': {
+                name: 'Use feature folder structure',
+                description: 'Code should be organized by features, not by file types',
+                severity: 'medium',
+                enabled: true
+              }
+            }
+          },
+          deprecations: {
+            rules: {
+              'node-apis': {
+                severity: 'high'
+              }
+            }
+          },
+          naming: {
+            rules: {
+              'camelcase-variables': {
+                severity: 'medium'
+              }
+            }
+          }
+        }
+      }
+    };
+  }
+
+  getPresetConfiguration(name) {
+    return this.getPresets()[name] || null;
+  }
+
   async createInitialConfig(filePath = 'manasx-rules.json') {
     const config = {
+      $schema: './node_modules/manasx/schema/manasx-rules.schema.json',
       metadata: {
         version: '1.0.0',
         name: 'Project Code Governance Rules',
@@ -228,6 +1102,15 @@ export default class RuleEngine {
               parameters: {
                 wrapperName: 'companyFetch'
               }
+            },
+            'no-hardcoded-secrets': {
+              name: 'No hardcoded secrets',
+              description: 'API keys, private keys, tokens and passwords must come from the environment or a secret store',
+              severity: 'critical',
+              enabled: true,
+              parameters: {
+                allowlist: 'manasx-secrets-allowlist.json'
+              }
             }
           }
         },
@@ -239,7 +1122,8 @@ export default class RuleEngine {
               name: 'Avoid synchronous file operations',
               description: 'Synchronous file operations block the event loop',
               severity: 'high',
-              enabled: true
+              enabled: true,
+              autofix: true
             }
           }
         },
@@ -252,6 +1136,64 @@ export default class RuleEngine {
               description: 'Code should be organized by features, not by file types',
               severity: 'medium',
               enabled: true
+            },
+            'layer-boundaries': {
+              name: 'Respect architecture layers',
+              description: 'Imports must follow the allowed dependencies between layers declared under "architecture"',
+              severity: 'high',
+              enabled: true
+            },
+            'no-circular-imports': {
+              name: 'No circular imports',
+              description: 'Modules must not import each other in a cycle, directly or through barrel files',
+              severity: 'medium',
+              enabled: true
+            }
+          }
+        },
+        imports: {
+          enabled: true,
+          description: 'Dependency rules for what the project may import',
+          rules: {
+            'dependency-policy': {
+              name: 'Follow the dependency policy',
+              description: 'Imported packages must not be banned and must match the allowed packages, versions and licenses under "dependencies"',
+              severity: 'high',
+              enabled: true
+            }
+          }
+        },
+        deprecations: {
+          enabled: true,
+          description: 'Deprecated APIs that should move to their replacements',
+          rules: {
+            'node-apis': {
+              name: 'No deprecated Node.js APIs',
+              description: 'Deprecated APIs such as new Buffer(), substr() and url.parse() have safer replacements',
+              severity: 'medium',
+              enabled: true
+            },
+            'package-apis': {
+              name: 'No deprecated package APIs',
+              description: 'APIs that installed packages mark @deprecated in their typings',
+              severity: 'low',
+              enabled: true
+            }
+          }
+        },
+        testing: {
+          enabled: true,
+          description: 'Testing rules to keep source files covered',
+          rules: {
+            'require-test-file': {
+              name: 'Require a test file',
+              description: 'Source files should have a test file that follows the learned test layout',
+              severity: 'low',
+              enabled: true,
+              parameters: {
+                minLines: 20,
+                exempt: DEFAULT_TEST_EXEMPTIONS
+              }
             }
           }
         },
@@ -263,12 +1205,28 @@ export default class RuleEngine {
               name: 'Use camelCase for variables',
               description: 'Variables should follow camelCase naming convention',
               severity: 'low',
-              enabled: true
+              enabled: true,
+              autofix: true
             }
           }
         }
       },
-      exceptions: []
+      exceptions: [],
+      overrides: [
+        {
+          files: ['**/*.test.*', '**/*.spec.*', '**/__tests__/**'],
+          rules: {
+            'performance/no-sync-fs': 'off'
+          }
+        },
+        {
+          files: ['tools/**', 'scripts/**'],
+          rules: {
+            'architecture/feature-folder-structure': 'off',
+            'testing/require-test-file': 'off'
+          }
+        }
+      ]
     };
 
     try {
@@ -286,15 +1244,47 @@ export default class RuleEngine {
     const warnings = [];
 
     for (const [ruleId, rule] of this.rules) {
+      const rulePath = `/rules/${rule.category}/rules/${ruleId.slice(rule.category.length + 1)}`;
+
+      if (!rule.check && !this.builtinRules[ruleId]) {
+        errors.push({ path: rulePath, message: `Unknown rule ${ruleId}: no built-in rule, plugin or pattern/selector implements it` });
+        continue;
+      }
+
       if (!rule.name || !rule.description) {
-        warnings.push(`Rule ${ruleId} is missing name or description`);
+        warnings.push({ path: rulePath, message: `Rule ${ruleId} is missing name or description` });
+      }
+
+      if (!SEVERITIES.includes(rule.severity)) {
+        errors.push({ path: `${rulePath}/severity`, message: `Rule ${ruleId} has invalid severity: ${rule.severity}` });
       }
+    }
 
-      if (!['low', 'medium', 'high', 'critical'].includes(rule.severity)) {
-        errors.push(`Rule ${ruleId} has invalid severity: ${rule.severity}`);
+    // Disabled categories are never loaded, but an unknown id there is still a typo waiting for the category to be enabled
+    for (const [category, categoryRules] of Object.entries(this.configuration?.config.rules || {})) {
+      if (categoryRules.enabled) continue;
+      for (const [name, ruleConfig] of Object.entries(categoryRules.rules || {})) {
+        const ruleId = `${category}/${name}`;
+        if (!this.builtinRules[ruleId] && !this.pluginRules.has(ruleId) && !ruleConfig.pattern && !ruleConfig.selector) {
+          errors.push({ path: `/rules/${category}/rules/${name}`, message: `Unknown rule ${ruleId}: no built-in rule, plugin or pattern/selector implements it` });
+        }
       }
     }
 
+    const layers = await this.getArchitectureLayers();
+    errors.push(...layers.validate());
+    errors.push(...this.getDependencyPolicy().validate());
+
+    this.overrides.forEach((override, index) => {
+      for (const { ruleId } of override.rules) {
+        const matchesAnyRule = [...this.rules.keys()].some(id => matchesPattern(id, ruleId));
+        if (!matchesAnyRule) {
+          const pointer = ruleId.replace(/~/g, '~0').replace(/\//g, '~1');
+          errors.push({ path: `/overrides/${index}/rules/${pointer}`, message: `Override references unknown rule: ${ruleId}` });
+        }
+      }
+    });
+
     return { errors, warnings };
   }
 
@@ -312,132 +1302,147 @@ export default class RuleEngine {
   }
 
   hasException(filePath, ruleId) {
-    const keys = [
-      `${filePath}:${ruleId}`,
-      `${filePath}:*`,
-      `*:${ruleId}`,
-      '*:*'
-    ];
-
-    return keys.some(key => this.exceptions.has(key));
+    return this.findException(filePath, ruleId) !== null;
   }
 
-  async applyRules(filePath, content, learnedPatterns = null) {
+  async applyRules(filePath, content, learnedPatterns = null, options = {}) {
+    const { applySuppressions = true } = options;
     const violations = [];
     const relativePath = path.relative(process.cwd(), filePath);
+    const file = toFileContext(content, filePath);
+    const cacheKey = this.cache?.enabled ? this.getCacheKey(relativePath, file.content, learnedPatterns) : null;
+    const cached = (cacheKey && await this.cache.get('rules', cacheKey)) || {};
+    const computed = {};
 
-    for (const [ruleId, rule] of this.rules) {
+    for (const [ruleId, rule] of this.getEffectiveRules(relativePath)) {
       if (!rule.enabled || this.hasException(relativePath, ruleId)) {
         continue;
       }
 
+      if (!isFileIncluded(relativePath, rule)) {
+        continue;
+      }
+
       try {
-        const ruleViolations = await this.executeRule(rule, filePath, content, learnedPatterns);
-        violations.push(...ruleViolations);
+        const cacheable = cacheKey && this.isCacheable(rule);
+        const ruleViolations = cacheable && cached[ruleId]
+          ? cached[ruleId]
+          : await this.executeRule(rule, filePath, file, learnedPatterns);
+        if (cacheable && !cached[ruleId]) {
+          computed[ruleId] = ruleViolations;
+        }
+        const expiredException = this.findException(relativePath, ruleId, this.expiredExceptions);
+        if (expiredException) {
+          violations.push(...ruleViolations.map(violation => ({
+            ...violation,
+            expiredException: {
+              expires: expiredException.expires,
+              justification: expiredException.justification,
+              approvedBy: expiredException.approvedBy
+            }
+          })));
+        } else {
+          violations.push(...ruleViolations);
+        }
       } catch (error) {
         logger.warn(`Error executing rule ${ruleId}: ${error.message}`);
       }
     }
 
-    return violations;
+    if (Object.keys(computed).length > 0) {
+      await this.cache.set('rules', cacheKey, { ...cached, ...computed });
+    }
+
+    if (!applySuppressions) {
+      return violations;
+    }
+
+    const suppressions = InlineSuppressions.parse(file, filePath);
+    return [...suppressions.filter(violations), ...suppressions.getMissingReasonViolations()];
+  }
+
+  // Only rules that read nothing but the file itself are cached; plugin code is outside the cache key
+  isCacheable(rule) {
+    return !rule.plugin && !this.builtinRules[rule.id]?.crossFile;
+  }
+
+  getCacheKey(relativePath, content, learnedPatterns) {
+    if (this.configurationHash === undefined) {
+      this.configurationHash = hashValue(this.configuration);
+    }
+    if (this.patternsHash?.patterns !== learnedPatterns) {
+      this.patternsHash = { patterns: learnedPatterns, hash: hashValue(learnedPatterns) };
+    }
+    return this.cache.key(this.configurationHash, this.patternsHash.hash, relativePath, content);
   }
 
   async executeRule(rule, filePath, content, learnedPatterns) {
-    const violations = [];
+    const check = rule.check || this.builtinRules[rule.id]?.check;
+    if (!check) {
+      return [];
+    }
+
+    return check(this.createRuleContext(rule, filePath, toFileContext(content, filePath), learnedPatterns));
+  }
+
+  createRuleContext(rule, filePath, file, learnedPatterns) {
     const relativePath = path.relative(process.cwd(), filePath);
 
-    switch (rule.id) {
-      case 'security/no-eval':
-        if (content.includes('eval(')) {
-          violations.push({
-            ruleId: rule.id,
-            severity: rule.severity,
-            message: rule.parameters?.message || 'eval() usage is prohibited for security reasons',
-            file: relativePath,
-            line: this.getLineNumber(content, content.indexOf('eval(')),
-            category: rule.category
-          });
-        }
-        break;
-
-      case 'security/no-dangerous-html':
-        const dangerousPatterns = ['innerHTML', 'outerHTML'];
-        for (const pattern of dangerousPatterns) {
-          if (content.includes(pattern)) {
-            violations.push({
-              ruleId: rule.id,
-              severity: rule.severity,
-              message: `Direct ${pattern} manipulation can lead to XSS vulnerabilities`,
-              file: relativePath,
-              line: this.getLineNumber(content, content.indexOf(pattern)),
-              category: rule.category
-            });
-          }
-        }
-        break;
-
-      case 'security/require-company-fetch':
-        if (content.includes('fetch(') && !content.includes(rule.parameters?.wrapperName || 'companyFetch')) {
-          violations.push({
-            ruleId: rule.id,
-            severity: rule.severity,
-            message: `Use ${rule.parameters?.wrapperName || 'companyFetch'} instead of raw fetch()`,
-            file: relativePath,
-            line: this.getLineNumber(content, content.indexOf('fetch(')),
-            category: rule.category
-          });
-        }
-        break;
-
-      case 'performance/no-sync-fs':
-        const syncFsPatterns = ['readFileSync', 'writeFileSync', 'statSync'];
-        for (const pattern of syncFsPatterns) {
-          if (content.includes(pattern)) {
-            violations.push({
-              ruleId: rule.id,
-              severity: rule.severity,
-              message: `Avoid synchronous file operation: ${pattern}`,
-              file: relativePath,
-              line: this.getLineNumber(content, content.indexOf(pattern)),
-              category: rule.category
-            });
-          }
-        }
-        break;
-
-      case 'architecture/feature-folder-structure':
-        if (!this.followsFeatureFolderStructure(relativePath)) {
-          violations.push({
-            ruleId: rule.id,
-            severity: rule.severity,
-            message: 'File should follow feature folder structure',
-            file: relativePath,
-            line: 1,
-            category: rule.category
-          });
-        }
-        break;
-
-      case 'naming/camelcase-variables':
-        if (learnedPatterns?.recommendations?.naming?.variables === 'camelCase') {
-          const varMatches = content.match(/(?:let|const|var)\s+([a-zA-Z_$][a-zA-Z0-9_$]*)/g) || [];
-          for (const match of varMatches) {
-            const varName = match.split(/\s+/)[1];
-            if (this.detectNamingStyle(varName) !== 'camelCase') {
-              violations.push({
-                ruleId: rule.id,
-                severity: rule.severity,
-                message: `Variable '${varName}' should use camelCase naming`,
-                file: relativePath,
-                line: this.getLineNumber(content, content.indexOf(match)),
-                category: rule.category
-              });
-            }
+    const report = (location, message) => ({
+      ruleId: rule.id,
+      severity: rule.severity,
+      message,
+      file: relativePath,
+      ...location,
+      category: rule.category
+    });
+
+    return {
+      rule,
+      filePath,
+      relativePath,
+      content: file.content,
+      ast: file.ast,
+      source: file,
+      learnedPatterns,
+      report: (node, message) => report(getNodeLocation(node), message),
+      reportAt: (index, length, message) => report(file.getLocation(index, length), message),
+      matchText: (regex, getMessage) => {
+        const violations = [];
+        for (const match of file.content.matchAll(regex)) {
+          const message = getMessage(match);
+          if (message) {
+            violations.push(report(file.getLocation(match.index, match[0].length), message));
           }
         }
-        break;
+        return violations;
+      }
+    };
+  }
+
+  isGlobalCall(node, name) {
+    const callee = node.callee;
+    if (callee.type === 'Identifier') return callee.name === name;
+    if (callee.type === 'MemberExpression' && callee.object.type === 'Identifier') {
+      return GLOBAL_OBJECTS.includes(callee.object.name) && getPropertyName(callee) === name;
     }
+    return false;
+  }
 
-    return violations;
+  isInsideFunctionNamed(ancestors, name) {
+    return ancestors.some(ancestor => {
+      switch (ancestor.type) {
+        case 'FunctionDeclaration':
+        case 'FunctionExpression':
+          return ancestor.id?.name === name;
+        case 'VariableDeclarator':
+          return ancestor.id.type === 'Identifier' && ancestor.id.name === name;
+        case 'Property':
+        case 'MethodDefinition':
+          return !ancestor.computed && ancestor.key.name === name;
+        default:
+          return false;
+      }
+    });
   }
 }
@@ -0,0 +1,76 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { findSecrets, maskSecret, SECRET_KINDS, DEFAULT_MIN_ENTROPY } from '../utils/secretPatterns.js';
+import { matchesGlob, toPosixPath } from '../utils/globMatcher.js';
+
+export const DEFAULT_ALLOWLIST_PATH = 'manasx-secrets-allowlist.json';
+
+export default class SecretScanner {
+  constructor(options = {}) {
+    this.allowlistPath = options.allowlist || DEFAULT_ALLOWLIST_PATH;
+    this.kinds = options.kinds || SECRET_KINDS;
+    this.minEntropy = options.minEntropy ?? DEFAULT_MIN_ENTROPY;
+    this.allowlist = { files: [], secrets: [] };
+
+    const unknownKinds = this.kinds.filter(kind => !SECRET_KINDS.includes(kind));
+    if (unknownKinds.length > 0) {
+      throw new Error(`Unknown secret kind(s): ${unknownKinds.join(', ')}. Use: ${SECRET_KINDS.join(', ')}`);
+    }
+  }
+
+  static isEnvFile(filePath) {
+    return /^\.env(\..+)?$/.test(path.basename(filePath));
+  }
+
+  async loadAllowlist() {
+    try {
+      const data = JSON.parse(await fs.readFile(this.allowlistPath, 'utf-8'));
+      this.allowlist = {
+        files: data.files || [],
+        secrets: (data.secrets || []).map(entry => typeof entry === 'string' ? { fingerprint: entry } : entry)
+      };
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw new Error(`Could not read secrets allowlist ${this.allowlistPath}: ${error.message}`);
+      }
+    }
+    return this;
+  }
+
+  isAllowed(relativePath, finding) {
+    if (matchesGlob(relativePath, this.allowlist.files)) return true;
+
+    // Entries hold fingerprints rather than the values, so the allowlist itself never contains a secret
+    return this.allowlist.secrets.some(entry =>
+      entry.fingerprint === finding.fingerprint &&
+      (!entry.files || matchesGlob(relativePath, entry.files))
+    );
+  }
+
+  scan(content, filePath) {
+    const relativePath = toPosixPath(path.relative(process.cwd(), filePath));
+    const findings = findSecrets(content, {
+      kinds: this.kinds,
+      minEntropy: this.minEntropy,
+      envFile: SecretScanner.isEnvFile(filePath)
+    });
+
+    return findings
+      .filter(finding => !this.isAllowed(relativePath, finding))
+      .map(finding => {
+        const before = content.slice(0, finding.index);
+        const lineStart = before.lastIndexOf('\n') + 1;
+        return {
+          kind: finding.kind,
+          detector: finding.detector,
+          name: finding.name,
+          index: finding.index,
+          length: finding.value.length,
+          line: before.split('\n').length,
+          column: finding.index - lineStart + 1,
+          masked: maskSecret(finding.value, finding.kind),
+          fingerprint: finding.fingerprint
+        };
+      });
+  }
+}
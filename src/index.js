@@ -5,12 +5,24 @@ import DriftDetector from './governance/DriftDetector.js';
 import RuleEngine from './governance/RuleEngine.js';
 import AIDetector from './ai-audit/AIDetector.js';
 import AIAuditor from './ai-audit/AIAuditor.js';
-import { logger } from './utils/logger.js';
+import { logger, sendDiagnosticsToStderr } from './utils/logger.js';
 import fs from 'fs/promises';
 import fsSync from 'fs';
 import path from 'path';
 import ContinuousMonitor from './monitor/ContinuousMonitor.js';
 import MCPServer from './integrations/MCPServer.js';
+import GitHooks, { SUPPORTED_HOOKS } from './integrations/GitHooks.js';
+import InlineSuppressions from './governance/InlineSuppressions.js';
+import AutoFixer from './governance/AutoFixer.js';
+import SecretScanner from './governance/SecretScanner.js';
+import DependencyPolicy from './governance/DependencyPolicy.js';
+import ConfigValidator from './governance/ConfigValidator.js';
+import QualityGate, { EXIT_CODES } from './governance/QualityGate.js';
+import Baseline, { DEFAULT_BASELINE_PATH } from './governance/Baseline.js';
+import { getChangedFiles, readStagedFile, getIgnoredFiles } from './utils/gitDiff.js';
+import { createFileContext } from './utils/fileContext.js';
+import { runTasks, parseJobs, ANALYSIS_WORKER } from './utils/workerPool.js';
+import { AnalysisCache, DEFAULT_CACHE_DIRECTORY } from './utils/analysisCache.js';
 
 
 
@@ -36,9 +48,19 @@ export async function runDebugAnalysis(file) {
 export async function runPatternLearning(directory, options) {
   try {
     logger.info(`Learning patterns from ${directory}...`);
+    const ruleEngine = new RuleEngine();
+    try {
+      await ruleEngine.loadRules(options.rules);
+    } catch (error) {
+      logger.warn(`Could not load rules: ${error.message}. Learning from every file that is not ignored.`);
+    }
+
     const learner = new PatternLearner();
     const patterns = await learner.learnFromDirectory(directory, {
-      maxFiles: parseInt(options.maxFiles) || 1000
+      maxFiles: parseInt(options.maxFiles) || 1000,
+      fileDiscovery: ruleEngine.getFileDiscovery(),
+      jobs: parseJobs(options.jobs),
+      cache: new AnalysisCache({ enabled: options.cache !== false })
     });
     
     if (options.output) {
@@ -58,6 +80,7 @@ export async function runPatternLearning(directory, options) {
 
 export async function runDriftDetection(files, options) {
   try {
+    const gate = new QualityGate(options);
     let patterns = null;
     if (options.patterns) {
       try {
@@ -70,21 +93,55 @@ export async function runDriftDetection(files, options) {
     
     if (!patterns) {
       logger.error('No patterns available. Run "manasx learn" first.');
+      process.exitCode = EXIT_CODES.TOOL_ERROR;
       return;
     }
     
-    const detector = new DriftDetector(patterns);
+    const ruleEngine = new RuleEngine();
+    try {
+      await ruleEngine.loadRules(options.rules);
+    } catch (error) {
+      if (!isMissingConfig(error)) throw error;
+      logger.warn(`Could not load rules: ${error.message}. Using the default dependency policy.`);
+    }
+
+    const detector = new DriftDetector(patterns, { dependencyPolicy: ruleEngine.getDependencyPolicy(), fileDiscovery: ruleEngine.getFileDiscovery() });
+    const baseline = await loadBaseline(options);
+    const changes = await loadChangedFiles(options);
+    const targets = changes ? await changes.select(files, undefined, ruleEngine.getFileDiscovery()) : files;
+    const allViolations = [];
+    const scores = [];
+    
+    if (targets.length === 0 && !changes) {
+      logger.error('No files given. Pass files or use --since <ref> / --staged.');
+      process.exitCode = EXIT_CODES.TOOL_ERROR;
+      return;
+    }
     
-    for (const file of files) {
+    for (const file of targets) {
       logger.info(`\nChecking drift in ${file}...`);
       const result = await detector.detectDrift(file, {
         threshold: parseFloat(options.threshold) || 0.7,
-        includeInfo: options.includeInfo
+        includeInfo: options.includeInfo,
+        content: options.staged ? await changes.readContent(file) : null
       });
       
+      const fileResults = result.files || [result];
+      for (const fileResult of fileResults) {
+        if (baseline) {
+          const content = changes ? await changes.readContent(fileResult.file) : await fs.readFile(fileResult.file, 'utf-8');
+          fileResult.violations = baseline.filter('drift', fileResult.file, content, fileResult.violations);
+        }
+        if (changes) {
+          fileResult.violations = changes.filterViolations(fileResult.file, fileResult.violations);
+        }
+        allViolations.push(...fileResult.violations);
+        scores.push(fileResult.complianceScore);
+      }
+      
       if (result.files) {
         logger.info(`Compliance Score: ${result.summary.overallScore}/100`);
-        logger.info(`Total Violations: ${result.summary.totalViolations}`);
+        logger.info(`Total Violations: ${fileResults.reduce((sum, fileResult) => sum + fileResult.violations.length, 0)}`);
       } else {
         logger.info(`Compliance Score: ${result.complianceScore}/100`);
         if (result.violations.length > 0) {
@@ -98,18 +155,29 @@ export async function runDriftDetection(files, options) {
       }
     }
     
+    await finishBaseline(baseline, options);
+    
+    const gateResult = gate.evaluate({ violations: allViolations, score: averageScore(scores) });
+    gate.report(gateResult);
+    process.exitCode = gateResult.exitCode;
+    
   } catch (error) {
     logger.error(`Drift detection failed: ${error.message}`);
+    process.exitCode = EXIT_CODES.TOOL_ERROR;
   }
 }
 
 export async function runComplianceCheck(directory, options) {
   try {
-    const ruleEngine = new RuleEngine();
+    const gate = new QualityGate(options);
+    const jobs = parseJobs(options.jobs);
+    const cache = new AnalysisCache({ enabled: options.cache !== false });
+    const ruleEngine = new RuleEngine({ cache });
     let rules;
     try {
       rules = await ruleEngine.loadRules(options.rules);
     } catch (error) {
+      if (!isMissingConfig(error)) throw error;
       logger.warn(`Could not load rules: ${error.message}. Using defaults.`);
       rules = ruleEngine.getDefaultConfiguration();
     }
@@ -128,14 +196,35 @@ export async function runComplianceCheck(directory, options) {
     logger.info(`Rules loaded: ${ruleEngine.rules.size} active rules`);
     
     const extensions = ['.js', '.ts', '.jsx', '.tsx'];
-    const files = await findCodeFiles(directory, extensions);
+    const changes = await loadChangedFiles(options);
+    const discovery = ruleEngine.getFileDiscovery();
+    const files = changes ? await changes.select([directory], extensions, discovery) : await discovery.find(directory, { extensions });
     
     let totalViolations = 0;
     let filesWithViolations = 0;
+    const allViolations = [];
+    const baseline = await loadBaseline(options);
     
+    const tasks = [];
     for (const filePath of files) {
-      const content = await fs.readFile(filePath, 'utf-8');
-      const violations = await ruleEngine.applyRules(filePath, content, patterns);
+      // Staged content comes from the git index, so it is read here rather than in a worker
+      tasks.push({ kind: 'rules', filePath, content: changes ? await changes.readContent(filePath) : null });
+    }
+    
+    await runTasks(tasks, {
+      jobs,
+      workerUrl: ANALYSIS_WORKER,
+      workerData: { configuration: ruleEngine.configuration, patterns, cache: cache.options },
+      runLocally: async ({ filePath, content }) => ruleEngine.applyRules(filePath, content ?? await fs.readFile(filePath, 'utf-8'), patterns)
+    }, async (violations, index) => {
+      const { filePath, content } = tasks[index];
+      if (baseline) {
+        violations = baseline.filter('rules', filePath, content ?? await fs.readFile(filePath, 'utf-8'), violations);
+      }
+      if (changes) {
+        violations = changes.filterViolations(filePath, violations);
+      }
+      allViolations.push(...violations);
       
       if (violations.length > 0) {
         filesWithViolations++;
@@ -144,13 +233,19 @@ export async function runComplianceCheck(directory, options) {
         if (options.format === 'console') {
           logger.warn(`\n${path.relative(process.cwd(), filePath)}:`);
           violations.forEach(v => {
-            logger.warn(`  [${v.severity.toUpperCase()}] Line ${v.line}: ${v.message}`);
+            const location = v.column ? `${v.line}:${v.column}` : v.line;
+            const expired = v.expiredException ? ` (exception expired ${v.expiredException.expires})` : '';
+            logger.warn(`  [${v.severity.toUpperCase()}] Line ${location}: ${v.message}${expired}`);
           });
         }
       }
-    }
+    });
+    
+    await finishBaseline(baseline, options);
     
-    const complianceRate = Math.round(((files.length - filesWithViolations) / files.length) * 100);
+    const complianceRate = files.length > 0
+      ? Math.round(((files.length - filesWithViolations) / files.length) * 100)
+      : 100;
     
     // Enhanced compliance summary
     const chalk = (await import('chalk')).default;
@@ -159,6 +254,14 @@ export async function runComplianceCheck(directory, options) {
     console.log(chalk.gray(`Files with violations: ${filesWithViolations}`));
     console.log(chalk.gray(`Total violations: ${totalViolations}`));
     
+    const expiredExceptions = ruleEngine.getExpiredExceptions();
+    if (expiredExceptions.length > 0) {
+      console.log(chalk.yellow(`Expired exceptions: ${expiredExceptions.length}`));
+      expiredExceptions.forEach(exception => {
+        console.log(chalk.yellow(`  • ${exception.file} (${exception.rule}) expired ${exception.expires}`));
+      });
+    }
+    
     const rateColor = complianceRate >= 80 ? 'green' : complianceRate >= 60 ? 'yellow' : 'red';
     console.log(chalk[rateColor](`Compliance rate: ${complianceRate}%`));
     
@@ -169,8 +272,13 @@ export async function runComplianceCheck(directory, options) {
       console.log(chalk.green('\n✅ Good compliance rate! Keep up the good work.'));
     }
     
+    const gateResult = gate.evaluate({ violations: allViolations, score: complianceRate });
+    gate.report(gateResult);
+    process.exitCode = gateResult.exitCode;
+    
   } catch (error) {
     logger.error(`Compliance check failed: ${error.message}`);
+    process.exitCode = EXIT_CODES.TOOL_ERROR;
   }
 }
 
@@ -187,17 +295,56 @@ export async function runRuleInit(options) {
 
 export async function runRuleValidation(options) {
   try {
+    if (options.printConfig) sendDiagnosticsToStderr();
     const ruleEngine = new RuleEngine();
+    const configPath = await ruleEngine.findConfigFile(options.file);
+    const validator = new ConfigValidator();
+    const displayPath = path.relative(process.cwd(), configPath);
+    const formatIssue = (issue) => {
+      const location = issue.line ? `${displayPath}:${issue.line}:${issue.column}` : displayPath;
+      return `  ${location} ${issue.path} ${issue.message}`;
+    };
+    
+    const { errors: schemaErrors } = validator.validate(await fs.readFile(configPath, 'utf-8'));
+    if (schemaErrors.length > 0) {
+      schemaErrors.forEach(error => logger.error(formatIssue(error)));
+      logger.error(`✗ Configuration ${options.file} has ${schemaErrors.length} error(s)`);
+      process.exitCode = EXIT_CODES.POLICY_FAILURE;
+      return;
+    }
+    
     const config = await ruleEngine.loadRules(options.file);
+    const exceptionResult = ruleEngine.validateExceptions(config.exceptions || []);
+    const ruleResult = await ruleEngine.validateRules();
+    const withLocation = (issue) => ({ ...issue, ...validator.locate(issue.path) });
+    
+    exceptionResult.warnings.forEach(warning => logger.warn(`  ${warning}`));
+    ruleResult.warnings.forEach(warning => logger.warn(formatIssue(withLocation(warning))));
+    
+    const errorCount = exceptionResult.errors.length + ruleResult.errors.length;
+    if (errorCount > 0) {
+      exceptionResult.errors.forEach(error => logger.error(`  ${error}`));
+      ruleResult.errors.forEach(error => logger.error(formatIssue(withLocation(error))));
+      logger.error(`✗ Configuration ${options.file} has ${errorCount} error(s)`);
+      process.exitCode = EXIT_CODES.POLICY_FAILURE;
+      return;
+    }
+    
     logger.info(`✓ Configuration ${options.file} is valid`);
     logger.info(`Loaded ${Object.keys(config.rules).length} rule categories`);
+    
+    if (options.printConfig) {
+      console.log(JSON.stringify(config, null, 2));
+    }
   } catch (error) {
     logger.error(`✗ Configuration validation failed: ${error.message}`);
+    process.exitCode = EXIT_CODES.TOOL_ERROR;
   }
 }
 
 export async function runAIAudit(files, options) {
   try {
+    const gate = new QualityGate(options);
     let patterns = null;
     let ruleEngine = null;
     
@@ -210,20 +357,33 @@ export async function runAIAudit(files, options) {
       }
     }
     
+    const cache = new AnalysisCache({ enabled: options.cache !== false });
     if (options.rules) {
       try {
-        ruleEngine = new RuleEngine();
+        ruleEngine = new RuleEngine({ cache });
         await ruleEngine.loadRules(options.rules);
       } catch (error) {
+        if (!isMissingConfig(error)) throw error;
         logger.warn(`Could not load rules: ${error.message}`);
       }
     }
     
-    const auditor = new AIAuditor(ruleEngine);
+    const auditor = new AIAuditor(ruleEngine, { cache });
+    const baseline = await loadBaseline(options);
+    const changes = await loadChangedFiles(options);
+    const targets = changes ? await changes.select(files, undefined, ruleEngine?.getFileDiscovery()) : files;
+    const allViolations = [];
+    const scores = [];
     
-    for (const file of files) {
+    if (targets.length === 0 && !changes) {
+      logger.error('No files given. Pass files or use --since <ref> / --staged.');
+      process.exitCode = EXIT_CODES.TOOL_ERROR;
+      return;
+    }
+    
+    for (const file of targets) {
       logger.info(`\nAuditing AI code in ${file}...`);
-      const content = await fs.readFile(file, 'utf-8');
+      const content = changes ? await changes.readContent(file) : await fs.readFile(file, 'utf-8');
       const result = await auditor.auditAICode(content, file, patterns);
       
       if (!result.isAIGenerated) {
@@ -231,6 +391,15 @@ export async function runAIAudit(files, options) {
         continue;
       }
       
+      if (baseline) {
+        result.violations = baseline.filter('ai-audit', file, content, result.violations);
+      }
+      if (changes) {
+        result.violations = changes.filterViolations(file, result.violations);
+      }
+      allViolations.push(...result.violations);
+      scores.push(result.overallScore);
+      
       logger.info(`AI Code Detected (${(result.confidence * 100).toFixed(1)}% confidence)`);
       logger.info(`Audit Score: ${result.overallScore}/100`);
       
@@ -256,22 +425,35 @@ export async function runAIAudit(files, options) {
       }
     }
     
+    await finishBaseline(baseline, options);
+    
+    const gateResult = gate.evaluate({ violations: allViolations, score: averageScore(scores) });
+    gate.report(gateResult);
+    process.exitCode = gateResult.exitCode;
+    
   } catch (error) {
     logger.error(`AI audit failed: ${error.message}`);
+    process.exitCode = EXIT_CODES.TOOL_ERROR;
   }
 }
 
 export async function runAIDetection(files, options) {
   try {
-    const detector = new AIDetector();
+    const gate = new QualityGate(options);
+    const detector = new AIDetector({ cache: new AnalysisCache({ enabled: options.cache !== false }) });
     const threshold = parseFloat(options.threshold) || 0.6;
+    const findings = [];
+    const scores = [];
     
     for (const file of files) {
       logger.info(`\nAnalyzing ${file} for AI-generated code...`);
       const content = await fs.readFile(file, 'utf-8');
       const result = await detector.detectAICode(content, file);
+      // The score is how confidently the file reads as human-written
+      scores.push(Math.round((1 - result.confidence) * 100));
       
       if (result.confidence >= threshold) {
+        findings.push({ file, severity: 'medium', message: 'AI-generated code detected' });
         logger.warn(`AI Code Detected: ${(result.confidence * 100).toFixed(1)}% confidence`);
         
         if (result.indicators.length > 0) {
@@ -287,45 +469,587 @@ export async function runAIDetection(files, options) {
       }
     }
     
+    const gateResult = gate.evaluate({ violations: findings, score: averageScore(scores) });
+    gate.report(gateResult);
+    process.exitCode = gateResult.exitCode;
+    
   } catch (error) {
     logger.error(`AI detection failed: ${error.message}`);
+    process.exitCode = EXIT_CODES.TOOL_ERROR;
   }
 }
 
-
-async function findCodeFiles(directory, extensions) {
-  const files = [];
-  const stack = [directory];
-  
-  while (stack.length > 0) {
-    const currentDir = stack.pop();
-    
+export async function runSuppressionReport(directory, options) {
+  try {
+    if (options.format === 'json') sendDiagnosticsToStderr();
+    const ruleEngine = new RuleEngine();
     try {
-      const entries = await fs.readdir(currentDir, { withFileTypes: true });
+      await ruleEngine.loadRules(options.rules);
+    } catch (error) {
+      logger.warn(`Could not load rules: ${error.message}. Using defaults.`);
+      await ruleEngine.processConfiguration(ruleEngine.getDefaultConfiguration());
+    }
+    
+    let patterns = null;
+    if (options.patterns) {
+      try {
+        const content = await fs.readFile(options.patterns, 'utf-8');
+        patterns = JSON.parse(content);
+      } catch (error) {
+        logger.warn(`Could not load patterns: ${error.message}`);
+      }
+    }
+    
+    const driftDetector = patterns ? new DriftDetector(patterns, { dependencyPolicy: ruleEngine.getDependencyPolicy() }) : null;
+    const auditor = options.aiAudit !== false ? new AIAuditor(ruleEngine) : null;
+    const files = await ruleEngine.getFileDiscovery().find(directory);
+    const report = [];
+    
+    for (const filePath of files) {
+      const file = createFileContext(await fs.readFile(filePath, 'utf-8'), filePath);
+      const suppressions = InlineSuppressions.parse(file, filePath);
+      if (suppressions.suppressions.length === 0) continue;
       
-      for (const entry of entries) {
-        const fullPath = path.join(currentDir, entry.name);
-        
-        if (entry.isDirectory()) {
-          const shouldIgnore = ['node_modules', '.git', 'dist', 'build'].some(pattern => 
-            entry.name.includes(pattern)
-          );
-          if (!shouldIgnore) {
-            stack.push(fullPath);
-          }
-        } else if (entry.isFile()) {
-          const ext = path.extname(entry.name);
-          if (extensions.includes(ext)) {
-            files.push(fullPath);
-          }
+      // Collect unsuppressed findings from every analyzer so each directive can be matched against them
+      const violations = await ruleEngine.applyRules(filePath, file, patterns, { applySuppressions: false });
+      
+      if (driftDetector) {
+        const drift = await driftDetector.detectDrift(filePath, { content: file, includeInfo: true, applySuppressions: false });
+        violations.push(...drift.violations);
+      }
+      
+      if (auditor) {
+        const audit = await auditor.auditAICode(file, filePath, patterns, { applySuppressions: false });
+        violations.push(...audit.violations);
+      }
+      
+      suppressions.filter(violations);
+      report.push(...suppressions.suppressions);
+    }
+    
+    const missingReason = report.filter(s => !s.reason);
+    const unused = report.filter(s => s.used === 0);
+    
+    if (options.format === 'json') {
+      console.log(JSON.stringify({
+        summary: { total: report.length, missingReason: missingReason.length, unused: unused.length },
+        suppressions: report
+      }, null, 2));
+      return;
+    }
+    
+    if (report.length === 0) {
+      logger.info('No inline suppressions found.');
+      return;
+    }
+    
+    logger.info(`\nInline suppressions in ${directory}:`);
+    report.forEach(s => {
+      const rules = s.rules.length > 0 ? s.rules.join(', ') : 'all rules';
+      const flags = [];
+      if (!s.reason) flags.push('MISSING REASON');
+      if (s.used === 0) flags.push('UNUSED');
+      
+      const line = `  ${s.file}:${s.line} manasx-${s.kind} ${rules}${s.reason ? ` -- ${s.reason}` : ''}`;
+      if (flags.length > 0) {
+        logger.warn(`${line} [${flags.join(', ')}]`);
+      } else {
+        logger.info(line);
+      }
+    });
+    
+    logger.info(`\nTotal suppressions: ${report.length}`);
+    logger.info(`Missing reason: ${missingReason.length}`);
+    logger.info(`No longer suppressing anything: ${unused.length}`);
+    
+  } catch (error) {
+    logger.error(`Suppression report failed: ${error.message}`);
+  }
+}
+
+export async function runAutoFix(paths, options) {
+  try {
+    const ruleEngine = new RuleEngine();
+    try {
+      await ruleEngine.loadRules(options.rules);
+    } catch (error) {
+      logger.warn(`Could not load rules: ${error.message}. Using defaults.`);
+      await ruleEngine.processConfiguration(ruleEngine.getDefaultConfiguration());
+    }
+
+    let patterns = null;
+    if (options.patterns) {
+      try {
+        const content = await fs.readFile(options.patterns, 'utf-8');
+        patterns = JSON.parse(content);
+      } catch (error) {
+        logger.warn(`Could not load patterns: ${error.message}`);
+      }
+    }
+
+    if (!patterns) {
+      logger.warn('No learned patterns available; naming fixes are skipped. Run "manasx learn" first.');
+    }
+
+    const extensions = ['.js', '.jsx', '.mjs', '.cjs'];
+    const files = [];
+    for (const target of paths.length > 0 ? paths : ['.']) {
+      const stat = await fs.stat(target);
+      if (stat.isDirectory()) {
+        files.push(...await ruleEngine.getFileDiscovery().find(target, { extensions }));
+      } else {
+        files.push(target);
+      }
+    }
+
+    const fixer = new AutoFixer({ ruleEngine, learnedPatterns: patterns, reviewer: options.reviewer });
+    let filesChanged = 0;
+    let totalFixes = 0;
+
+    for (const filePath of files) {
+      const result = await fixer.fixFile(filePath, { dryRun: options.dryRun });
+
+      if (result.skipped) {
+        logger.warn(`Skipped ${result.file}: ${result.skipped}`);
+        continue;
+      }
+      if (!result.changed) continue;
+
+      filesChanged++;
+      totalFixes += result.fixes.length;
+
+      if (options.dryRun) {
+        console.log(result.diff);
+        continue;
+      }
+
+      logger.success(`Fixed ${result.file}:`);
+      result.fixes.forEach(fix => logger.info(`  Line ${fix.line}: ${fix.message}`));
+
+      const { ruleViolationsBefore, ruleViolationsAfter, driftScoreAfter } = result.verification;
+      logger.info(`  Rule violations: ${ruleViolationsBefore} -> ${ruleViolationsAfter}`);
+      if (driftScoreAfter !== undefined) {
+        logger.info(`  Drift compliance score after fix: ${driftScoreAfter}/100`);
+      }
+    }
+
+    logger.info(`\n${options.dryRun ? 'Would apply' : 'Applied'} ${totalFixes} fixes across ${filesChanged} of ${files.length} files`);
+
+  } catch (error) {
+    logger.error(`Autofix failed: ${error.message}`);
+  }
+}
+
+
+export async function runCycleDetection(directory, options) {
+  try {
+    if (options.format === 'json') sendDiagnosticsToStderr();
+    const gate = new QualityGate(options);
+    const ruleEngine = new RuleEngine();
+    try {
+      await ruleEngine.loadRules(options.rules);
+    } catch (error) {
+      logger.warn(`Could not load rules: ${error.message}. Resolving imports without aliases.`);
+    }
+
+    const graph = await ruleEngine.getImportGraph();
+    const files = await ruleEngine.getFileDiscovery().find(directory, { extensions: ['.js', '.ts', '.jsx', '.tsx', '.mjs', '.cjs'] });
+    await graph.build(files);
+    const cycles = await graph.findCycles();
+    const severity = ruleEngine.getRuleById('architecture/no-circular-imports')?.severity || 'medium';
+
+    if (options.format === 'json') {
+      console.log(JSON.stringify({ filesAnalyzed: graph.nodes.size, cycles }, null, 2));
+    } else if (cycles.length === 0) {
+      logger.success(`No circular imports across ${graph.nodes.size} files`);
+    } else {
+      logger.warn(`Found ${cycles.length} import cycle(s) across ${graph.nodes.size} files:`);
+      cycles.forEach((cycle, index) => {
+        logger.warn(`  ${index + 1}. ${cycle.chain.join(' → ')}`);
+        const others = cycle.files.filter(file => !cycle.chain.includes(file));
+        if (others.length > 0) {
+          logger.info(`     Also tangled in this cycle: ${others.join(', ')}`);
         }
+      });
+    }
+
+    const gateResult = gate.evaluate({ violations: cycles.map(cycle => ({ ...cycle, severity })) });
+    gate.report(gateResult);
+    process.exitCode = gateResult.exitCode;
+
+  } catch (error) {
+    logger.error(`Cycle detection failed: ${error.message}`);
+    process.exitCode = EXIT_CODES.TOOL_ERROR;
+  }
+}
+
+export async function runImportGraph(directory, options) {
+  try {
+    if (!['dot', 'json'].includes(options.format)) {
+      throw new Error(`Unknown format '${options.format}'. Use dot or json`);
+    }
+    if (!options.output) sendDiagnosticsToStderr();
+
+    const ruleEngine = new RuleEngine();
+    try {
+      await ruleEngine.loadRules(options.rules);
+    } catch (error) {
+      logger.warn(`Could not load rules: ${error.message}. Exporting without layers or aliases.`);
+    }
+
+    const layers = await ruleEngine.getArchitectureLayers();
+    const files = await ruleEngine.getFileDiscovery().find(directory, { extensions: ['.js', '.ts', '.jsx', '.tsx', '.mjs', '.cjs'] });
+    await layers.graph.build(files);
+
+    const getLayer = (file) => layers.getLayer(file);
+    const graph = layers.graph.toJSON(getLayer);
+    const violations = [];
+    for (const node of graph.nodes) {
+      for (const violation of await layers.findViolations(node.id)) {
+        violations.push({ file: node.id, line: violation.line, fromLayer: violation.fromLayer, toLayer: violation.toLayer, chain: violation.chain });
       }
+    }
+
+    // Highlight every edge on a forbidden chain, not only the last hop into the forbidden layer
+    const forbiddenEdges = new Set(violations.flatMap(violation =>
+      violation.chain.slice(1).map((file, index) => `${violation.chain[index]}\0${file}`)));
+    const isForbidden = (edge) => forbiddenEdges.has(`${edge.from}\0${edge.to}`);
+    let output;
+
+    if (options.format === 'dot') {
+      output = layers.graph.toDot(getLayer, isForbidden);
+    } else {
+      output = JSON.stringify({
+        layers: ruleEngine.architecture.layers || {},
+        nodes: graph.nodes,
+        edges: graph.edges.map(edge => ({ ...edge, forbidden: isForbidden(edge) })),
+        violations
+      }, null, 2) + '\n';
+    }
+
+    if (options.output) {
+      await fs.writeFile(options.output, output);
+      logger.success(`Import graph with ${layers.graph.nodes.size} files written to ${options.output}`);
+    } else {
+      process.stdout.write(output);
+    }
+
+  } catch (error) {
+    logger.error(`Import graph failed: ${error.message}`);
+    process.exitCode = EXIT_CODES.TOOL_ERROR;
+  }
+}
+
+export async function runDependencyAudit(directory, options) {
+  try {
+    if (options.format === 'json') sendDiagnosticsToStderr();
+    const gate = new QualityGate(options);
+    const ruleEngine = new RuleEngine();
+    try {
+      await ruleEngine.loadRules(options.rules);
     } catch (error) {
-      logger.warn(`Skipping directory ${currentDir}: ${error.message}`);
+      logger.warn(`Could not load rules: ${error.message}. Auditing with the default dependency policy.`);
+    }
+
+    const policy = new DependencyPolicy(ruleEngine.dependencies, { root: directory });
+    const policyErrors = policy.validate();
+    if (policyErrors.length > 0) {
+      throw new Error(policyErrors.map(error => error.message).join('; '));
+    }
+
+    const report = await policy.audit();
+    const severity = ruleEngine.getRuleById('imports/dependency-policy')?.severity || 'high';
+    const violations = report.packages.flatMap(entry => entry.issues.map(issue => ({
+      ...issue,
+      package: entry.name,
+      severity: issue.type === 'not-installed' ? 'low' : severity
+    })));
+
+    if (options.format === 'json') {
+      console.log(JSON.stringify(report, null, 2));
+    } else {
+      const { summary } = report;
+      logger.info(`Audited ${summary.direct} direct and ${summary.transitive} transitive packages in ${report.root}`);
+
+      report.packages.filter(entry => entry.issues.length > 0).forEach(entry => {
+        const version = entry.version ? `@${entry.version}` : ' (not installed)';
+        logger.warn(`  ${entry.name}${version}${entry.direct ? '' : ' [transitive]'}`);
+        entry.issues.forEach(issue => logger.warn(`     • ${issue.message}`));
+      });
+
+      logger.info('Licenses:');
+      Object.entries(summary.licenses)
+        .sort((a, b) => b[1] - a[1])
+        .forEach(([license, count]) => logger.info(`  ${license}: ${count}`));
+
+      if (summary.withIssues === 0) {
+        logger.success('All dependencies follow the dependency policy');
+      } else {
+        logger.warn(`${summary.withIssues} package(s) break the dependency policy`);
+      }
     }
+
+    const gateResult = gate.evaluate({ violations });
+    gate.report(gateResult);
+    process.exitCode = gateResult.exitCode;
+
+  } catch (error) {
+    logger.error(`Dependency audit failed: ${error.message}`);
+    process.exitCode = EXIT_CODES.TOOL_ERROR;
   }
-  
-  return files;
+}
+
+export async function runSecretsScan(paths, options) {
+  try {
+    if (options.format === 'json') sendDiagnosticsToStderr();
+    const gate = new QualityGate(options);
+    const scanner = new SecretScanner({
+      allowlist: options.allowlist,
+      minEntropy: options.minEntropy !== undefined ? Number(options.minEntropy) : undefined
+    });
+    await scanner.loadAllowlist();
+
+    const ruleEngine = new RuleEngine();
+    try {
+      await ruleEngine.loadRules(options.rules);
+    } catch (error) {
+      logger.warn(`Could not load rules: ${error.message}. Scanning every file that is not ignored.`);
+    }
+
+    const discovery = ruleEngine.getFileDiscovery();
+    const extensions = ['.js', '.ts', '.jsx', '.tsx', '.mjs', '.cjs', '.json', '.yml', '.yaml'];
+    const files = [];
+    for (const target of paths.length > 0 ? paths : ['.']) {
+      const stat = await fs.stat(target);
+      if (stat.isDirectory()) {
+        files.push(...await discovery.find(target, { extensions, includeFile: SecretScanner.isEnvFile }));
+      } else {
+        files.push(target);
+      }
+    }
+
+    // .env files that git ignores never reach the repository, so only committed ones are a leak
+    let ignored = new Set();
+    try {
+      ignored = await getIgnoredFiles(files.filter(SecretScanner.isEnvFile));
+    } catch (error) {
+      logger.warn(`Could not check .gitignore, scanning every .env file: ${error.message}`);
+    }
+
+    const targets = files.filter(file => !ignored.has(path.resolve(file)));
+    const results = [];
+
+    for (const file of targets) {
+      const content = await fs.readFile(file, 'utf-8');
+      const findings = scanner.scan(content, file);
+      if (findings.length > 0) {
+        results.push({ file: path.relative(process.cwd(), file), findings });
+      }
+    }
+
+    const violations = results.flatMap(result => result.findings.map(finding => ({ ...finding, file: result.file, severity: 'critical' })));
+
+    if (options.format === 'json') {
+      console.log(JSON.stringify({ filesScanned: targets.length, ignoredEnvFiles: ignored.size, secrets: violations }, null, 2));
+    } else {
+      results.forEach(result => {
+        logger.warn(`\n${result.file}:`);
+        result.findings.forEach(finding => {
+          logger.warn(`  [CRITICAL] Line ${finding.line}:${finding.column}: ${finding.name} detected: ${finding.masked} (fingerprint ${finding.fingerprint})`);
+        });
+      });
+
+      logger.info(`\nScanned ${targets.length} file(s), skipped ${ignored.size} git-ignored .env file(s)`);
+      if (violations.length > 0) {
+        logger.warn(`Found ${violations.length} hardcoded secret(s). Move them to a secret store, or add reviewed test fixtures to ${scanner.allowlistPath}.`);
+      } else {
+        logger.success('No hardcoded secrets found');
+      }
+    }
+
+    const gateResult = gate.evaluate({ violations });
+    gate.report(gateResult);
+    process.exitCode = gateResult.exitCode;
+
+  } catch (error) {
+    logger.error(`Secret scan failed: ${error.message}`);
+    process.exitCode = EXIT_CODES.TOOL_ERROR;
+  }
+}
+
+export async function runHooksInstall(hooks, options) {
+  try {
+    // Validate the gate options now rather than on every commit
+    new QualityGate(options);
+
+    const gitHooks = new GitHooks({
+      failOn: options.failOn,
+      maxViolations: options.maxViolations,
+      aiAudit: options.aiAudit,
+      changedLines: options.changedLines,
+      threshold: options.threshold,
+      trailer: options.trailer
+    });
+    const results = await gitHooks.install(hooks.length > 0 ? hooks : SUPPORTED_HOOKS);
+
+    results.forEach(result => {
+      const action = result.updated ? 'Updated' : 'Installed';
+      logger.success(`${action} ${result.hook} hook at ${path.relative(process.cwd(), result.path)}`);
+      if (result.chained) {
+        logger.info(`  Existing ${result.hook} hook is kept and runs first`);
+      }
+    });
+
+  } catch (error) {
+    logger.error(`Hook installation failed: ${error.message}`);
+    process.exitCode = EXIT_CODES.TOOL_ERROR;
+  }
+}
+
+export async function runHooksUninstall(hooks) {
+  try {
+    const gitHooks = new GitHooks();
+    const results = await gitHooks.uninstall(hooks.length > 0 ? hooks : SUPPORTED_HOOKS);
+
+    results.forEach(result => {
+      if (result.restored) {
+        logger.success(`Restored original ${result.hook} hook`);
+      } else if (result.removed) {
+        logger.success(`Removed ${result.hook} hook`);
+      } else {
+        logger.info(`No ManasX ${result.hook} hook installed`);
+      }
+    });
+
+  } catch (error) {
+    logger.error(`Hook removal failed: ${error.message}`);
+    process.exitCode = EXIT_CODES.TOOL_ERROR;
+  }
+}
+
+export async function runHooksStatus() {
+  try {
+    const gitHooks = new GitHooks();
+    const results = await gitHooks.status();
+
+    results.forEach(result => {
+      const state = result.installed ? 'installed' : 'not installed';
+      const chained = result.chained ? ' (chained with original hook)' : '';
+      logger.info(`${result.hook}: ${state}${chained}`);
+    });
+
+  } catch (error) {
+    logger.error(`Hook status failed: ${error.message}`);
+    process.exitCode = EXIT_CODES.TOOL_ERROR;
+  }
+}
+
+export async function runCacheClear() {
+  try {
+    const removed = await new AnalysisCache().clear();
+    logger.success(`Removed ${removed} cached result${removed === 1 ? '' : 's'} from ${DEFAULT_CACHE_DIRECTORY}`);
+  } catch (error) {
+    logger.error(`Cache clear failed: ${error.message}`);
+    process.exitCode = EXIT_CODES.TOOL_ERROR;
+  }
+}
+
+export async function runCommitMessageCheck(messageFile, options) {
+  try {
+    const threshold = parseFloat(options.threshold) || 0.6;
+    const trailer = options.trailer || 'AI-Assisted';
+    const message = await fs.readFile(messageFile, 'utf-8');
+
+    // Git strips comment lines after this hook runs, so a commented-out trailer does not count
+    const trailerPattern = new RegExp(`^${trailer.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}:\\s*\\S`, 'im');
+    const hasTrailer = message.split('\n')
+      .filter(line => !line.startsWith('#'))
+      .some(line => trailerPattern.test(line));
+    if (hasTrailer) return;
+
+    const { root, files } = await getChangedFiles({ staged: true });
+    const extensions = ['.js', '.ts', '.jsx', '.tsx'];
+    const detector = new AIDetector();
+    const flagged = [];
+
+    for (const filePath of files.keys()) {
+      if (!extensions.includes(path.extname(filePath))) continue;
+      const content = await readStagedFile(filePath, root);
+      const result = await detector.detectAICode(content, filePath);
+      if (result.confidence >= threshold) {
+        flagged.push({ file: path.relative(process.cwd(), filePath), confidence: result.confidence });
+      }
+    }
+
+    if (flagged.length === 0) return;
+
+    logger.error(`Commit blocked: ${flagged.length} staged file(s) look AI-generated but the message has no "${trailer}:" trailer`);
+    flagged.forEach(({ file, confidence }) => {
+      logger.error(`  • ${file} (${(confidence * 100).toFixed(1)}% confidence)`);
+    });
+    logger.info(`Add a trailer such as "${trailer}: yes" to the commit message, or use --no-verify to skip hooks`);
+    process.exitCode = EXIT_CODES.POLICY_FAILURE;
+
+  } catch (error) {
+    logger.error(`Commit message check failed: ${error.message}`);
+    process.exitCode = EXIT_CODES.TOOL_ERROR;
+  }
+}
+
+
+// A missing rules file falls back to defaults, but a broken one is a tool error so quality gates never pass on the wrong rules
+function isMissingConfig(error) {
+  return error.code === 'ERR_CONFIG_NOT_FOUND';
+}
+
+async function loadBaseline(options) {
+  if (!options.baseline && !options.updateBaseline) return null;
+  const filePath = typeof options.baseline === 'string' ? options.baseline : DEFAULT_BASELINE_PATH;
+  return new Baseline(filePath).load();
+}
+
+async function finishBaseline(baseline, options) {
+  if (!baseline) return;
+  await baseline.save({ update: options.updateBaseline });
+  baseline.report();
+}
+
+async function loadChangedFiles(options) {
+  if (!options.since && !options.staged) return null;
+
+  const { root, files } = await getChangedFiles({ since: options.since, staged: options.staged });
+  logger.info(`Found ${files.size} changed file(s) ${options.staged ? 'in the index' : `since ${options.since}`}`);
+
+  return {
+    root,
+    files,
+    async select(paths = [], extensions = ['.js', '.ts', '.jsx', '.tsx'], discovery = null) {
+      const scopes = paths.map(target => path.resolve(target));
+      const selected = [];
+      for (const filePath of files.keys()) {
+        if (!extensions.includes(path.extname(filePath))) continue;
+        if (scopes.length > 0 && !scopes.some(scope => filePath === scope || filePath.startsWith(scope + path.sep))) continue;
+        // Changed files go through the same ignore files and config globs as a full scan
+        if (discovery && !await discovery.isIncluded(filePath, { extensions, root })) continue;
+        selected.push(path.relative(process.cwd(), filePath));
+      }
+      return selected;
+    },
+    readContent(filePath) {
+      // Pre-commit checks must see what will be committed, not unstaged edits in the working tree
+      return options.staged ? readStagedFile(filePath, root) : fs.readFile(filePath, 'utf-8');
+    },
+    filterViolations(filePath, violations) {
+      if (!options.changedLines) return violations;
+      const changedLines = files.get(path.resolve(filePath));
+      return violations.filter(v => changedLines?.has(v.line || 1));
+    }
+  };
+}
+
+function averageScore(scores) {
+  if (scores.length === 0) return null;
+  return Math.round(scores.reduce((sum, score) => sum + score, 0) / scores.length);
 }
 
 
@@ -364,6 +1088,8 @@ export async function runContinuousWatch(directory, options) {
       logger.info(`🔗 MCP Server: port ${options.mcpPort || 8765}`);
     }
     
+    const qualityGate = new QualityGate(options);
+    
     logger.success('✅ Monitor started! File changes will be analyzed in real-time.');
     logger.info('Press Ctrl+C to stop monitoring');
     
@@ -373,7 +1099,9 @@ export async function runContinuousWatch(directory, options) {
       enableDriftDetection: !options.noDriftDetection,
       enableRuleChecking: !options.noRuleChecking,
       logFile: options.logFile,
-      contextLogFile: options.contextLog
+      contextLogFile: options.contextLog,
+      cache: new AnalysisCache({ enabled: options.cache !== false }),
+      qualityGate
     });
     
     let mcpServer = null;
@@ -390,7 +1118,7 @@ export async function runContinuousWatch(directory, options) {
       if (mcpServer) {
         await mcpServer.stop();
       }
-      process.exit(0);
+      process.exit(monitor.gateResult?.exitCode ?? EXIT_CODES.PASS);
     };
     
     process.on('SIGINT', cleanup);
@@ -414,7 +1142,7 @@ export async function runContinuousWatch(directory, options) {
     
   } catch (error) {
     logger.error(`Continuous monitoring failed: ${error.message}`);
-    process.exit(1);
+    process.exit(EXIT_CODES.TOOL_ERROR);
   }
 }
 
@@ -0,0 +1,187 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { getHooksDirectory } from '../utils/gitDiff.js';
+import { logger } from '../utils/logger.js';
+
+const HOOK_MARKER = '# manasx-hook';
+const BACKUP_SUFFIX = '.manasx-original';
+const CLI_PATH = fileURLToPath(new URL('../cli/index.js', import.meta.url));
+
+export const SUPPORTED_HOOKS = ['pre-commit', 'commit-msg'];
+
+function shellQuote(value) {
+  return `'${String(value).replace(/'/g, `'\\''`)}'`;
+}
+
+export default class GitHooks {
+  constructor(options = {}) {
+    this.options = {
+      failOn: 'high',
+      maxViolations: undefined,
+      aiAudit: true,
+      changedLines: false,
+      threshold: 0.6,
+      trailer: 'AI-Assisted',
+      ...options
+    };
+  }
+
+  async getHooksDirectory() {
+    const hooksDir = await getHooksDirectory();
+    try {
+      await fs.mkdir(hooksDir, { recursive: true });
+    } catch (error) {
+      if (error.code !== 'EEXIST' && error.code !== 'ENOTDIR') throw error;
+      throw new Error(`Git hooks path ${hooksDir} is not a directory; check core.hooksPath`);
+    }
+    return hooksDir;
+  }
+
+  async readHook(hookPath) {
+    try {
+      return await fs.readFile(hookPath, 'utf-8');
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  async pathExists(filePath) {
+    try {
+      await fs.access(filePath);
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
+  isManagedHook(content) {
+    return content !== null && content.includes(HOOK_MARKER);
+  }
+
+  async install(hooks = SUPPORTED_HOOKS) {
+    const hooksDir = await this.getHooksDirectory();
+    const results = [];
+
+    for (const hook of hooks) {
+      this.assertSupported(hook);
+      const hookPath = path.join(hooksDir, hook);
+      const backupPath = hookPath + BACKUP_SUFFIX;
+      const existing = await this.readHook(hookPath);
+
+      if (existing !== null && !this.isManagedHook(existing)) {
+        if (await this.pathExists(backupPath)) {
+          throw new Error(`Cannot install ${hook}: both ${hookPath} and ${backupPath} exist`);
+        }
+        // Keep the original hook and run it first from the ManasX hook
+        await fs.rename(hookPath, backupPath);
+      }
+
+      await fs.writeFile(hookPath, this.renderHook(hook), { mode: 0o755 });
+      await fs.chmod(hookPath, 0o755);
+
+      results.push({
+        hook,
+        path: hookPath,
+        updated: this.isManagedHook(existing),
+        chained: await this.pathExists(backupPath)
+      });
+    }
+
+    return results;
+  }
+
+  async uninstall(hooks = SUPPORTED_HOOKS) {
+    const hooksDir = await this.getHooksDirectory();
+    const results = [];
+
+    for (const hook of hooks) {
+      this.assertSupported(hook);
+      const hookPath = path.join(hooksDir, hook);
+      const backupPath = hookPath + BACKUP_SUFFIX;
+      const existing = await this.readHook(hookPath);
+
+      if (existing !== null && !this.isManagedHook(existing)) {
+        logger.warn(`${hookPath} was not installed by ManasX; leaving it in place`);
+        results.push({ hook, path: hookPath, removed: false, restored: false });
+        continue;
+      }
+
+      if (existing !== null) {
+        await fs.unlink(hookPath);
+      }
+
+      const restored = await this.pathExists(backupPath);
+      if (restored) {
+        await fs.rename(backupPath, hookPath);
+      }
+
+      results.push({ hook, path: hookPath, removed: existing !== null, restored });
+    }
+
+    return results;
+  }
+
+  async status(hooks = SUPPORTED_HOOKS) {
+    const hooksDir = await this.getHooksDirectory();
+
+    return Promise.all(hooks.map(async (hook) => {
+      const hookPath = path.join(hooksDir, hook);
+      return {
+        hook,
+        path: hookPath,
+        installed: this.isManagedHook(await this.readHook(hookPath)),
+        chained: await this.pathExists(hookPath + BACKUP_SUFFIX)
+      };
+    }));
+  }
+
+  assertSupported(hook) {
+    if (!SUPPORTED_HOOKS.includes(hook)) {
+      throw new Error(`Unsupported hook '${hook}'. Supported hooks: ${SUPPORTED_HOOKS.join(', ')}`);
+    }
+  }
+
+  getGateArguments() {
+    const args = [`--fail-on ${shellQuote(this.options.failOn)}`];
+    if (this.options.maxViolations !== undefined) {
+      args.push(`--max-violations ${shellQuote(this.options.maxViolations)}`);
+    }
+    if (this.options.changedLines) {
+      args.push('--changed-lines');
+    }
+    return args.join(' ');
+  }
+
+  renderHook(hook) {
+    const lines = [
+      '#!/bin/sh',
+      `${HOOK_MARKER} ${hook}: installed by "manasx hooks install", removed by "manasx hooks uninstall"`,
+      '',
+      'hook_dir=$(dirname "$0")',
+      `if [ -x "$hook_dir/${hook}${BACKUP_SUFFIX}" ]; then`,
+      `  "$hook_dir/${hook}${BACKUP_SUFFIX}" "$@" || exit $?`,
+      'fi',
+      '',
+      `manasx_cli=${shellQuote(CLI_PATH)}`,
+      'if [ ! -f "$manasx_cli" ]; then',
+      `  echo "manasx ${hook}: ManasX is no longer installed at $manasx_cli, skipping checks" >&2`,
+      '  exit 0',
+      'fi',
+      ''
+    ];
+
+    if (hook === 'pre-commit') {
+      const gate = this.getGateArguments();
+      lines.push(`node "$manasx_cli" compliance . --staged ${gate} || exit $?`);
+      if (this.options.aiAudit) {
+        lines.push(`node "$manasx_cli" ai-audit --staged ${gate} || exit $?`);
+      }
+    } else if (hook === 'commit-msg') {
+      lines.push(`node "$manasx_cli" hooks check-commit-msg "$1" --threshold ${shellQuote(this.options.threshold)} --trailer ${shellQuote(this.options.trailer)} || exit $?`);
+    }
+
+    return lines.join('\n') + '\n';
+  }
+}
@@ -400,7 +400,7 @@ export default class MCPServer extends EventEmitter {
         filename,
         complianceScore,
         violations: violations.map(v => ({
-          rule: v.rule,
+          rule: v.rule || v.ruleId,
           category: v.category,
           severity: v.severity,
           message: v.message,
@@ -8,6 +8,8 @@ import AIDetector from '../ai-audit/AIDetector.js';
 import AIAuditor from '../ai-audit/AIAuditor.js';
 import { logger } from '../utils/logger.js';
 import { LogFormatter } from '../utils/logFormatter.js';
+import { maskSecrets } from '../utils/secretPatterns.js';
+import { createFileContext } from '../utils/fileContext.js';
 
 export default class ContinuousMonitor extends EventEmitter {
   constructor(options = {}) {
@@ -28,6 +30,10 @@ export default class ContinuousMonitor extends EventEmitter {
 
     this.watchers = new Map();
     this.debounceTimers = new Map();
+    this.latestResults = new Map();
+    this.knownCycles = new Map();
+    this.nextCycleId = 0;
+    this.gateResult = null;
     this.isRunning = false;
     this.stats = {
       filesWatched: 0,
@@ -39,9 +45,10 @@ export default class ContinuousMonitor extends EventEmitter {
 
     this.patternLearner = new PatternLearner();
     this.driftDetector = null;
-    this.ruleEngine = new RuleEngine();
-    this.aiDetector = new AIDetector();
-    this.aiAuditor = new AIAuditor();
+    // The cache lives on disk, so results survive restarts and are shared with compliance runs
+    this.ruleEngine = new RuleEngine({ cache: this.options.cache });
+    this.aiDetector = new AIDetector({ cache: this.options.cache });
+    this.aiAuditor = new AIAuditor(null, { cache: this.options.cache });
     this.logFormatter = new LogFormatter();
     
     this.learnedPatterns = null;
@@ -59,6 +66,8 @@ export default class ContinuousMonitor extends EventEmitter {
       
       await this.loadConfiguration();
       
+      await this.loadKnownCycles();
+      
       await this.setupLogging();
       
       await this.setupFileWatchers();
@@ -112,41 +121,100 @@ export default class ContinuousMonitor extends EventEmitter {
     const durationStr = Math.round(duration / 1000);
     logger.monitor(`Stopped after ${durationStr}s • ${this.stats.changesDetected} changes • ${this.stats.violationsFound} violations`);
     
+    this.gateResult = this.evaluateQualityGate();
+    if (this.gateResult) {
+      this.options.qualityGate.report(this.gateResult);
+    }
+    
     this.logFormatter.writeSummaryReport({
       ...this.stats,
-      duration: durationStr
+      duration: durationStr,
+      qualityGate: this.gateResult
     });
     
     this.logContext({
       event: 'monitor_stopped',
       timestamp: new Date().toISOString(),
       duration: Math.round(duration / 1000),
-      stats: this.stats
+      stats: this.stats,
+      qualityGate: this.gateResult
     });
     
     this.emit('stopped', { stats: this.stats });
   }
 
+  evaluateQualityGate(gate = this.options.qualityGate) {
+    if (!gate || !gate.isEnabled()) {
+      return null;
+    }
+
+    // Only the latest analysis of each file counts, so fixed violations stop failing the gate
+    const results = [...this.latestResults.values()];
+    const scores = results.map(result => result.driftScore).filter(score => score !== null);
+    const score = scores.length > 0
+      ? Math.round(scores.reduce((sum, value) => sum + value, 0) / scores.length)
+      : null;
+
+    return gate.evaluate({ violations: results.flatMap(result => result.violations), score });
+  }
+
   async loadConfiguration() {
+    try {
+      await this.ruleEngine.loadRules();
+      this.organizationalRules = true;
+      logger.info('Loaded organizational rules');
+    } catch (error) {
+      logger.warn(`Could not load rules: ${error.message}`);
+    }
+
     try {
       const patternsPath = path.join(this.options.watchDirectory, 'patterns.json');
       if (fs.existsSync(patternsPath)) {
         const content = fs.readFileSync(patternsPath, 'utf-8');
         this.learnedPatterns = JSON.parse(content);
-        this.driftDetector = new DriftDetector(this.learnedPatterns);
+        // Rules load first so discouraged imports follow the configured dependency policy
+        this.driftDetector = new DriftDetector(this.learnedPatterns, {
+          dependencyPolicy: this.ruleEngine.getDependencyPolicy(),
+          fileDiscovery: this.ruleEngine.getFileDiscovery()
+        });
         logger.info('Loaded learned patterns for drift detection');
       }
     } catch (error) {
       logger.warn(`Could not load patterns: ${error.message}`);
     }
+  }
+
+  async loadKnownCycles() {
+    if (!this.options.enableRuleChecking || !this.ruleEngine.isRuleEnabled('architecture/no-circular-imports')) {
+      return;
+    }
 
     try {
-      await this.ruleEngine.loadRules();
-      this.organizationalRules = true;
-      logger.info('Loaded organizational rules');
+      const graph = await this.ruleEngine.getImportGraph();
+      await graph.build(await this.findWatchableFiles());
+      const cycles = await graph.findCycles();
+      cycles.forEach(cycle => this.rememberCycle(cycle.files));
+      if (cycles.length > 0) {
+        logger.info(`${cycles.length} existing import cycle(s); only new ones are flagged`);
+      }
     } catch (error) {
-      logger.warn(`Could not load rules: ${error.message}`);
+      logger.warn(`Could not map existing import cycles: ${error.message}`);
+    }
+  }
+
+  isNewCycle(files) {
+    const ids = new Set(files.map(file => this.knownCycles.get(file)));
+    return ids.size !== 1 || ids.has(undefined);
+  }
+
+  rememberCycle(files) {
+    // Files joined by a new cycle form one tangle, even if they were in separate cycles before
+    const id = this.nextCycleId++;
+    const merged = new Set(files.map(file => this.knownCycles.get(file)).filter(known => known !== undefined));
+    for (const [file, known] of this.knownCycles) {
+      if (merged.has(known)) this.knownCycles.set(file, id);
     }
+    files.forEach(file => this.knownCycles.set(file, id));
   }
 
   async setupLogging() {
@@ -186,10 +254,10 @@ export default class ContinuousMonitor extends EventEmitter {
     
     for (const dirPath of directories) {
       try {
-        const watcher = fs.watch(dirPath, { encoding: 'utf8' }, (eventType, filename) => {
+        const watcher = fs.watch(dirPath, { encoding: 'utf8' }, async (eventType, filename) => {
           if (eventType === 'rename' && filename) {
             const fullPath = path.join(dirPath, filename);
-            if (this.shouldWatchFile(fullPath)) {
+            if (await this.shouldWatchFile(fullPath)) {
               setTimeout(() => this.handleFileChange(fullPath), 100);
             }
           }
@@ -217,12 +285,15 @@ export default class ContinuousMonitor extends EventEmitter {
 
   async analyzeFile(filePath) {
     try {
-      if (!fs.existsSync(filePath) || !this.shouldWatchFile(filePath)) {
+      const relativePath = path.relative(this.options.watchDirectory, filePath);
+
+      if (!fs.existsSync(filePath) || !await this.shouldWatchFile(filePath)) {
+        this.latestResults.delete(relativePath);
         return;
       }
 
-      const content = fs.readFileSync(filePath, 'utf-8');
-      const relativePath = path.relative(this.options.watchDirectory, filePath);
+      // Read and index the file once; every analyzer below shares the same context
+      const file = createFileContext(fs.readFileSync(filePath, 'utf-8'), filePath);
       
       this.stats.changesDetected++;
       
@@ -237,7 +308,7 @@ export default class ContinuousMonitor extends EventEmitter {
       };
 
       if (this.options.enableAIDetection) {
-        const aiResult = await this.aiDetector.detectAICode(content, filePath);
+        const aiResult = await this.aiDetector.detectAICode(file, filePath);
         analysis.aiDetection = {
           isLikelyAI: aiResult.isLikelyAI,
           confidence: aiResult.confidence,
@@ -249,14 +320,14 @@ export default class ContinuousMonitor extends EventEmitter {
           this.stats.aiCodeDetected++;
           analysis.insights.push('AI-generated code detected');
           
-          const auditResult = await this.aiAuditor.auditAICode(content, filePath, this.learnedPatterns);
+          const auditResult = await this.aiAuditor.auditAICode(file, filePath, this.learnedPatterns, { detection: aiResult });
           analysis.violations.push(...auditResult.violations);
           analysis.recommendations.push(...auditResult.recommendations);
         }
       }
 
       if (this.options.enableDriftDetection && this.driftDetector) {
-        const driftResult = await this.driftDetector.detectDrift(filePath);
+        const driftResult = await this.driftDetector.detectDrift(filePath, { content: file });
         analysis.driftScore = driftResult.complianceScore;
         analysis.violations.push(...driftResult.violations);
         
@@ -266,11 +337,18 @@ export default class ContinuousMonitor extends EventEmitter {
       }
 
       if (this.options.enableRuleChecking && this.organizationalRules) {
-        const ruleViolations = await this.ruleEngine.applyRules(filePath, content, this.learnedPatterns);
+        const ruleViolations = await this.ruleEngine.applyRules(filePath, file, this.learnedPatterns);
         analysis.violations.push(...ruleViolations);
+
+        for (const violation of ruleViolations.filter(v => v.cycle && this.isNewCycle(v.cycle))) {
+          this.rememberCycle(violation.cycle);
+          analysis.insights.push(`New circular import introduced: ${violation.cycle.join(' → ')}`);
+          this.emit('cycle', { file: relativePath, chain: violation.cycle });
+        }
       }
 
       this.stats.violationsFound += analysis.violations.length;
+      this.latestResults.set(relativePath, { violations: analysis.violations, driftScore: analysis.driftScore });
 
       this.displayViolations(analysis);
       
@@ -379,7 +457,7 @@ export default class ContinuousMonitor extends EventEmitter {
         }
       }
 
-      fs.appendFileSync(logFile, data);
+      fs.appendFileSync(logFile, maskSecrets(data));
     } catch (error) {
       logger.warn(`Error writing to log ${logFile}: ${error.message}`);
     }
@@ -400,41 +478,12 @@ export default class ContinuousMonitor extends EventEmitter {
     }
   }
 
-  async findWatchableFiles() {
-    const files = [];
-    const stack = [this.options.watchDirectory];
-
-    while (stack.length > 0) {
-      const currentDir = stack.pop();
-      
-      try {
-        const entries = fs.readdirSync(currentDir, { withFileTypes: true });
-        
-        for (const entry of entries) {
-          const fullPath = path.join(currentDir, entry.name);
-          
-          if (entry.isDirectory() && !this.shouldIgnoreDirectory(entry.name)) {
-            stack.push(fullPath);
-          } else if (entry.isFile() && this.shouldWatchFile(fullPath)) {
-            files.push(fullPath);
-          }
-        }
-      } catch (error) {
-        logger.warn(`Skipping directory ${currentDir}: ${error.message}`);
-      }
-    }
-
-    return files;
+  findWatchableFiles() {
+    return this.ruleEngine.getFileDiscovery().find(this.options.watchDirectory, { extensions: this.options.extensions });
   }
 
   shouldWatchFile(filePath) {
-    const ext = path.extname(filePath);
-    return this.options.extensions.includes(ext);
-  }
-
-  shouldIgnoreDirectory(name) {
-    const ignorePatterns = ['node_modules', '.git', 'dist', 'build', '.next', '.nuxt', 'coverage', '.manasx'];
-    return ignorePatterns.includes(name) || name.startsWith('.');
+    return this.ruleEngine.getFileDiscovery().isIncluded(filePath, { extensions: this.options.extensions, root: this.options.watchDirectory });
   }
 
   getHighestSeverity(violations) {
@@ -11,6 +11,12 @@ async function callGroqChatModel(prompt, options = {}) {
   const model = options.model || DEFAULT_MODEL;
   const temperature = options.temperature !== undefined ? options.temperature : 0.2;
 
+  // The same prompt to the same model is answered from the cache instead of another paid request
+  const cache = options.cache;
+  const cacheKey = cache?.enabled ? cache.key(API_URL, model, String(temperature), prompt) : null;
+  const cached = cacheKey && await cache.get('llm', cacheKey);
+  if (cached !== undefined && cached !== null) return cached;
+
   const response = await fetch(API_URL, {
     method: "POST",
     headers: {
@@ -30,16 +36,20 @@ async function callGroqChatModel(prompt, options = {}) {
   }
 
   const data = await response.json();
+  let content;
   if (data.choices?.[0]?.message?.content) {
-    return data.choices[0].message.content;
+    content = data.choices[0].message.content;
   } else if (typeof data.choices?.[0]?.text === "string") {
-    return data.choices[0].text;
+    content = data.choices[0].text;
   } else {
     throw new Error("Unexpected response format from Groq");
   }
+
+  if (cacheKey) await cache.set('llm', cacheKey, content);
+  return content;
 }
 
-export async function callAiModelOnCode(code, filename) {
+export async function callAiModelOnCode(code, filename, options = {}) {
   const prompt = `
 You are an expert JavaScript reviewer. Analyze the following code for best practices, maintainability, and style. 
 Identify specific lines with issues and provide suggestions in this JSON array format:
@@ -50,7 +60,7 @@ File: ${filename}
 Code:
 ${code}
 `;
-  const content = await callGroqChatModel(prompt);
+  const content = await callGroqChatModel(prompt, { cache: options.cache });
   try {
     return JSON.parse(content);
   } catch (e) {
@@ -0,0 +1,81 @@
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import v8 from 'v8';
+import { threadId } from 'worker_threads';
+import pkg from '../../package.json' with { type: 'json' };
+import { logger } from './logger.js';
+
+export const DEFAULT_CACHE_DIRECTORY = path.join('.manasx', 'cache');
+
+export function hashValue(value) {
+  const data = typeof value === 'string' ? value : JSON.stringify(value) ?? '';
+  return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+// Results stored by a key that hashes everything they depend on, so entries never need invalidating, only clearing
+export class AnalysisCache {
+  constructor(options = {}) {
+    this.directory = options.directory || DEFAULT_CACHE_DIRECTORY;
+    this.enabled = options.enabled !== false;
+    this.warned = false;
+  }
+
+  // Plain settings that let a worker thread open the same cache
+  get options() {
+    return { directory: this.directory, enabled: this.enabled };
+  }
+
+  key(...parts) {
+    // Every entry depends on the ManasX version, since any release may change analysis results
+    return hashValue([pkg.version, ...parts.map(part => typeof part === 'string' ? part : hashValue(part))].join('\0'));
+  }
+
+  getPath(namespace, key) {
+    return path.join(this.directory, namespace, key);
+  }
+
+  async get(namespace, key) {
+    if (!this.enabled) return undefined;
+
+    try {
+      return v8.deserialize(await fs.readFile(this.getPath(namespace, key)));
+    } catch {
+      // Missing and unreadable entries are both misses; the next set() rewrites them
+      return undefined;
+    }
+  }
+
+  async set(namespace, key, value) {
+    if (!this.enabled) return;
+
+    const filePath = this.getPath(namespace, key);
+    // Write then rename, so concurrent workers and readers never see half an entry
+    const tempPath = `${filePath}.${process.pid}.${threadId}.tmp`;
+    try {
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.writeFile(tempPath, v8.serialize(value));
+      await fs.rename(tempPath, filePath);
+    } catch (error) {
+      await fs.rm(tempPath, { force: true });
+      if (!this.warned) {
+        this.warned = true;
+        logger.warn(`Could not write to the cache in ${this.directory}: ${error.message}`);
+      }
+    }
+  }
+
+  async clear() {
+    let removed = 0;
+    try {
+      for (const namespace of await fs.readdir(this.directory)) {
+        removed += (await fs.readdir(path.join(this.directory, namespace))).length;
+      }
+    } catch (error) {
+      if (error.code !== 'ENOENT' && error.code !== 'ENOTDIR') throw error;
+    }
+
+    await fs.rm(this.directory, { recursive: true, force: true });
+    return removed;
+  }
+}
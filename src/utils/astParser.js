@@ -0,0 +1,280 @@
+import * as espree from 'espree';
+import esquery from 'esquery';
+import * as eslintScope from 'eslint-scope';
+import path from 'path';
+
+const PARSE_OPTIONS = {
+  ecmaVersion: 'latest',
+  loc: true,
+  range: true,
+  comment: true
+};
+
+export function parseSource(content, filePath = '') {
+  const ext = path.extname(filePath);
+  if (ext === '.ts' || ext === '.tsx') return null; // espree has no TypeScript support
+
+  const ecmaFeatures = { jsx: ext !== '.mjs' && ext !== '.cjs' };
+
+  for (const sourceType of ['module', 'script', 'commonjs']) {
+    try {
+      return espree.parse(content, { ...PARSE_OPTIONS, sourceType, ecmaFeatures });
+    } catch {
+      // Try the next source type before giving up
+    }
+  }
+
+  return null;
+}
+
+export function walkAst(root, visitor) {
+  const stack = [{ node: root, ancestors: [] }];
+
+  while (stack.length > 0) {
+    const { node, ancestors } = stack.pop();
+    const handler = visitor[node.type];
+    if (handler) handler(node, ancestors);
+
+    const keys = espree.VisitorKeys[node.type] || [];
+    const childAncestors = [...ancestors, node];
+
+    for (let i = keys.length - 1; i >= 0; i--) {
+      const child = node[keys[i]];
+      if (Array.isArray(child)) {
+        for (let j = child.length - 1; j >= 0; j--) {
+          if (child[j]?.type) stack.push({ node: child[j], ancestors: childAncestors });
+        }
+      } else if (child?.type) {
+        stack.push({ node: child, ancestors: childAncestors });
+      }
+    }
+  }
+}
+
+export function analyzeScopes(ast) {
+  return eslintScope.analyze(ast, {
+    ecmaVersion: espree.latestEcmaVersion,
+    sourceType: ast.sourceType,
+    childVisitorKeys: espree.VisitorKeys,
+    fallback: 'iteration'
+  });
+}
+
+export function parseSelector(selector) {
+  return esquery.parse(selector);
+}
+
+export function matchSelector(root, parsedSelector) {
+  return esquery.match(root, parsedSelector, { visitorKeys: espree.VisitorKeys });
+}
+
+export function getPropertyName(memberExpression) {
+  const { property, computed } = memberExpression;
+  if (!computed && property.type === 'Identifier') return property.name;
+  if (property.type === 'Literal' && typeof property.value === 'string') return property.value;
+  return null;
+}
+
+export function getCalleeName(callExpression) {
+  const callee = callExpression.callee;
+  if (callee.type === 'Identifier') return callee.name;
+  if (callee.type === 'MemberExpression') return getPropertyName(callee);
+  return null;
+}
+
+export function getCalleeObjectName(callExpression) {
+  const callee = callExpression.callee;
+  if (callee.type === 'MemberExpression' && callee.object.type === 'Identifier') {
+    return callee.object.name;
+  }
+  return null;
+}
+
+export function getNodeLocation(node) {
+  return {
+    line: node.loc.start.line,
+    column: node.loc.start.column + 1,
+    endLine: node.loc.end.line,
+    endColumn: node.loc.end.column + 1
+  };
+}
+
+export const SOURCE_CODE = 0;
+export const SOURCE_COMMENT = 1;
+export const SOURCE_STRING = 2;
+
+const REGEX_PRECEDING_WORDS = new Set(['return', 'typeof', 'instanceof', 'in', 'of', 'new', 'delete', 'void', 'throw', 'case', 'do', 'else', 'yield', 'await']);
+
+function isIdentifierChar(code) {
+  return (code >= 48 && code <= 57) || (code >= 65 && code <= 90) || (code >= 97 && code <= 122) ||
+    code === 36 || code === 95 || code > 127;
+}
+
+// A lexical pass that marks every character as code, comment or string (including template text and regex literals).
+// It needs no parser, so it also covers TypeScript and files espree rejects.
+export function scanSource(content) {
+  const mask = new Uint8Array(content.length);
+  const comments = [];
+  const templateDepths = [];
+  let braceDepth = 0;
+  let previous = '';
+  let previousWord = '';
+  let index = 0;
+
+  const skipQuoted = (start, quote) => {
+    let position = start + 1;
+    while (position < content.length) {
+      const char = content[position];
+      if (char === '\\') position += 2;
+      else if (char === quote) return position + 1;
+      else if (char === '\n') return position;
+      else position++;
+    }
+    return content.length;
+  };
+  const skipRegex = (start) => {
+    let position = start + 1;
+    let inClass = false;
+    while (position < content.length) {
+      const char = content[position];
+      if (char === '\\') position += 2;
+      else if (char === '\n') return -1;
+      else if (char === '/' && !inClass) break;
+      else {
+        if (char === '[') inClass = true;
+        else if (char === ']') inClass = false;
+        position++;
+      }
+    }
+    position++;
+    while (position < content.length && isIdentifierChar(content.charCodeAt(position))) position++;
+    return position;
+  };
+  const regexAllowed = () => previous === '' || '(,=:[!&|?{};+-*%<>~^}'.includes(previous) ||
+    (previous === 'a' && REGEX_PRECEDING_WORDS.has(previousWord));
+
+  while (index < content.length) {
+    const char = content[index];
+    const next = content[index + 1];
+
+    if (char === '/' && next === '/') {
+      const newline = content.indexOf('\n', index);
+      const end = newline === -1 ? content.length : newline;
+      mask.fill(SOURCE_COMMENT, index, end);
+      comments.push({ type: 'Line', value: content.slice(index + 2, end), range: [index, end] });
+      index = end;
+      continue;
+    }
+    if (char === '/' && next === '*') {
+      const close = content.indexOf('*/', index + 2);
+      const end = close === -1 ? content.length : close + 2;
+      mask.fill(SOURCE_COMMENT, index, end);
+      comments.push({ type: 'Block', value: content.slice(index + 2, close === -1 ? end : close), range: [index, end] });
+      index = end;
+      continue;
+    }
+    if (char === '\'' || char === '"') {
+      const end = skipQuoted(index, char);
+      mask.fill(SOURCE_STRING, index, end);
+      index = end;
+      previous = '"';
+      continue;
+    }
+    if (char === '`' || (char === '}' && templateDepths[templateDepths.length - 1] === braceDepth)) {
+      if (char === '}') templateDepths.pop();
+      let end = index + 1;
+      let opensSubstitution = false;
+      while (end < content.length) {
+        if (content[end] === '\\') {
+          end += 2;
+        } else if (content[end] === '`') {
+          end++;
+          break;
+        } else if (content[end] === '$' && content[end + 1] === '{') {
+          end += 2;
+          opensSubstitution = true;
+          templateDepths.push(braceDepth);
+          break;
+        } else {
+          end++;
+        }
+      }
+      mask.fill(SOURCE_STRING, index, Math.min(end, content.length));
+      index = end;
+      previous = opensSubstitution ? '{' : '"';
+      continue;
+    }
+    if (char === '/' && regexAllowed()) {
+      const end = skipRegex(index);
+      if (end !== -1) {
+        mask.fill(SOURCE_STRING, index, end);
+        index = end;
+        previous = '"';
+        continue;
+      }
+    }
+
+    const code = content.charCodeAt(index);
+    if (isIdentifierChar(code)) {
+      let end = index + 1;
+      while (end < content.length && isIdentifierChar(content.charCodeAt(end))) end++;
+      // Property names such as x.return are not keywords
+      previousWord = previous === '.' ? '' : content.slice(index, end);
+      previous = 'a';
+      index = end;
+      continue;
+    }
+    if (char === '{') braceDepth++;
+    else if (char === '}') braceDepth--;
+    if (code > 32) previous = char;
+    index++;
+  }
+
+  return { mask, comments };
+}
+
+export function findModuleBindings(ast, scopeManager = analyzeScopes(ast)) {
+  const bindings = [];
+  const referencesOf = (node) => new Set(scopeManager.getDeclaredVariables(node)
+    .flatMap(variable => variable.references.map(reference => reference.identifier)));
+
+  walkAst(ast, {
+    ImportDeclaration: (node) => {
+      if (node.importKind === 'type') return;
+      for (const specifier of node.specifiers) {
+        const kind = { ImportNamespaceSpecifier: 'namespace', ImportDefaultSpecifier: 'default' }[specifier.type] || 'named';
+        bindings.push({
+          specifier: node.source.value,
+          kind,
+          imported: kind === 'named' ? specifier.imported.name ?? specifier.imported.value : null,
+          node: kind === 'named' ? specifier.imported : specifier,
+          references: referencesOf(specifier)
+        });
+      }
+    },
+    VariableDeclarator: (node) => {
+      const init = node.init;
+      const isRequire = init?.type === 'CallExpression' && init.callee.type === 'Identifier' &&
+        init.callee.name === 'require' && init.arguments[0]?.type === 'Literal' && typeof init.arguments[0].value === 'string';
+      if (!isRequire) return;
+
+      const specifier = init.arguments[0].value;
+      if (node.id.type === 'Identifier') {
+        // module.exports is what require returns, so its members behave like a default import's
+        bindings.push({ specifier, kind: 'default', imported: null, node: node.id, references: referencesOf(node) });
+        return;
+      }
+      if (node.id.type !== 'ObjectPattern') return;
+
+      for (const property of node.id.properties) {
+        if (property.type !== 'Property' || property.computed || property.key.type !== 'Identifier') continue;
+        const references = property.value.type === 'Identifier'
+          ? new Set((scopeManager.getDeclaredVariables(node).find(variable => variable.name === property.value.name)?.references || []).map(reference => reference.identifier))
+          : new Set();
+        bindings.push({ specifier, kind: 'named', imported: property.key.name, node: property.key, references });
+      }
+    }
+  });
+
+  return bindings;
+}
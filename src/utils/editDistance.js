@@ -0,0 +1,32 @@
+export function editDistance(a, b) {
+  if (a === b) return 0;
+  if (a.length === 0) return b.length;
+  if (b.length === 0) return a.length;
+
+  // Levenshtein distance where swapping two adjacent characters counts as one edit, the most common typo
+  const rows = [Array.from({ length: b.length + 1 }, (_, index) => index)];
+  for (let i = 1; i <= a.length; i++) {
+    const row = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      row[j] = Math.min(rows[i - 1][j] + 1, row[j - 1] + 1, rows[i - 1][j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        row[j] = Math.min(row[j], rows[i - 2][j - 2] + 1);
+      }
+    }
+    rows.push(row);
+  }
+  return rows[a.length][b.length];
+}
+
+export function findClosest(value, candidates, options = {}) {
+  const { maxDistance = Math.max(1, Math.floor(value.length / 3)), limit = 3 } = options;
+
+  return candidates
+    .filter(candidate => candidate !== value)
+    .map(candidate => ({ candidate, distance: editDistance(value, candidate) }))
+    .filter(entry => entry.distance <= maxDistance)
+    .sort((a, b) => a.distance - b.distance || a.candidate.localeCompare(b.candidate))
+    .slice(0, limit)
+    .map(entry => entry.candidate);
+}
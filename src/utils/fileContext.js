@@ -0,0 +1,81 @@
+import { parseSource, scanSource, analyzeScopes, findModuleBindings, SOURCE_CODE, SOURCE_COMMENT } from './astParser.js';
+
+// Everything analyzers derive from one file's text, computed at most once however many analyzers ask for it
+export function createFileContext(content, filePath = '', options = {}) {
+  const lineStarts = [0];
+  for (let index = content.indexOf('\n'); index !== -1; index = content.indexOf('\n', index + 1)) {
+    lineStarts.push(index + 1);
+  }
+
+  let ast = options.ast;
+  let scan = null;
+  let lines = null;
+  let comments = null;
+  let scopeManager = null;
+  let moduleBindings = null;
+
+  const getScan = () => scan ??= scanSource(content);
+  const getLineNumber = (index) => {
+    let low = 0;
+    let high = lineStarts.length - 1;
+    while (low < high) {
+      const middle = (low + high + 1) >> 1;
+      if (lineStarts[middle] <= index) low = middle;
+      else high = middle - 1;
+    }
+    return low + 1;
+  };
+  const getColumn = (index) => index - lineStarts[getLineNumber(index) - 1] + 1;
+
+  return {
+    content,
+    filePath,
+    lineCount: lineStarts.length,
+
+    get lines() {
+      return lines ??= content.split('\n');
+    },
+
+    // null when the file cannot be parsed, e.g. TypeScript
+    get ast() {
+      if (ast === undefined) ast = parseSource(content, filePath);
+      return ast;
+    },
+
+    // Reuses the AST's comments once something has parsed the file, and otherwise never pays for a parse just for comments
+    get comments() {
+      if (!comments && ast) comments = ast.comments;
+      return comments ??= getScan().comments.map(comment => ({
+        ...comment,
+        loc: { start: { line: getLineNumber(comment.range[0]) }, end: { line: getLineNumber(comment.range[1]) } }
+      }));
+    },
+
+    get scopeManager() {
+      return scopeManager ??= this.ast ? analyzeScopes(this.ast) : null;
+    },
+
+    get moduleBindings() {
+      return moduleBindings ??= this.ast ? findModuleBindings(this.ast, this.scopeManager) : [];
+    },
+
+    getLineNumber,
+
+    getLocation(index, length = 0) {
+      const end = index + length;
+      return { line: getLineNumber(index), column: getColumn(index), endLine: getLineNumber(end), endColumn: getColumn(end) };
+    },
+
+    isCode(index) {
+      return getScan().mask[index] === SOURCE_CODE;
+    },
+
+    isComment(index) {
+      return getScan().mask[index] === SOURCE_COMMENT;
+    }
+  };
+}
+
+export function toFileContext(source, filePath = '', options = {}) {
+  return typeof source === 'string' ? createFileContext(source, filePath, options) : source;
+}
@@ -0,0 +1,220 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { Minimatch } from 'minimatch';
+import { logger } from './logger.js';
+import { isFileIncluded, toPosixPath } from './globMatcher.js';
+
+export const IGNORE_FILES = ['.gitignore', '.manasxignore'];
+
+// Dependencies, build output and ManasX's own state are skipped even without a .gitignore; ignore files can re-include them with !
+export const DEFAULT_IGNORES = ['node_modules/', '.git/', '.manasx/', 'dist/', 'build/', 'coverage/', '.next/', '.nuxt/'];
+
+const DEFAULT_EXTENSIONS = ['.js', '.ts', '.jsx', '.tsx'];
+const MINIFIED_FILE = /\.min\.[cm]?js$/;
+const GENERATED_HEADER = /^[ \t]*(?:\/\/|\/\*|\*|#).*@generated\b/m;
+const HEADER_BYTES = 1024;
+
+// Parses .gitignore syntax; patterns are relative to the directory that holds the ignore file
+export function parseIgnorePatterns(content, baseDir) {
+  const rules = [];
+
+  for (const rawLine of content.split(/\r?\n/)) {
+    let line = rawLine.replace(/(?<!\\)\s+$/, '');
+    if (!line || line.startsWith('#')) continue;
+
+    const negated = line.startsWith('!');
+    if (negated) line = line.slice(1);
+    line = line.replace(/^\\(?=[#!])/, '');
+
+    const directoryOnly = line.endsWith('/');
+    if (directoryOnly) line = line.slice(0, -1);
+
+    // A slash anywhere but the end anchors the pattern to baseDir; otherwise it matches at any depth
+    const anchored = line.includes('/');
+    line = line.replace(/^\//, '');
+    if (!line) continue;
+
+    rules.push({
+      baseDir,
+      negated,
+      directoryOnly,
+      matcher: new Minimatch(anchored ? line : `**/${line}`, { dot: true })
+    });
+  }
+
+  return rules;
+}
+
+export function isIgnored(rules, filePath, isDirectory = false) {
+  let ignored = false;
+
+  // The last matching pattern wins, so a later !pattern re-includes what an earlier one ignored
+  for (const rule of rules) {
+    if (rule.directoryOnly && !isDirectory) continue;
+    const relativePath = toPosixPath(path.relative(rule.baseDir, filePath));
+    if (!relativePath || relativePath === '..' || relativePath.startsWith('../') || path.isAbsolute(relativePath)) continue;
+    if (rule.matcher.match(relativePath)) ignored = !rule.negated;
+  }
+
+  return ignored;
+}
+
+export function isInside(filePath, directory) {
+  return filePath === directory || filePath.startsWith(directory + path.sep);
+}
+
+export class FileDiscovery {
+  constructor(options = {}) {
+    // Config-level globs, matched against paths relative to the working directory like rule `files`
+    this.files = options.files;
+    this.ignores = options.ignores;
+    this.skipGenerated = options.skipGenerated !== false;
+    this.directoryRules = new Map();
+  }
+
+  async find(directory, options = {}) {
+    const { extensions = DEFAULT_EXTENSIONS, includeFile = null, maxFiles = Infinity } = options;
+    const root = await fs.realpath(directory);
+    const files = [];
+    const visitedDirectories = new Set();
+    const seenFiles = new Set();
+
+    const walk = async (currentDir, realDir, rules) => {
+      // A directory reached twice through symlinks is only walked once, which also breaks link cycles
+      if (visitedDirectories.has(realDir)) return;
+      visitedDirectories.add(realDir);
+
+      let entries;
+      try {
+        entries = await fs.readdir(currentDir, { withFileTypes: true });
+      } catch (error) {
+        logger.warn(`Skipping directory ${currentDir}: ${error.message}`);
+        return;
+      }
+
+      entries.sort((a, b) => (a.name < b.name ? -1 : a.name > b.name ? 1 : 0));
+
+      for (const entry of entries) {
+        if (files.length >= maxFiles) return;
+
+        const fullPath = path.join(currentDir, entry.name);
+        let realPath = path.join(realDir, entry.name);
+        let isDirectory = entry.isDirectory();
+        let isFile = entry.isFile();
+
+        if (entry.isSymbolicLink()) {
+          const target = await this.resolveLink(fullPath, root);
+          if (!target) continue;
+          ({ realPath, isDirectory, isFile } = target);
+        }
+
+        if (isDirectory) {
+          if (isIgnored(rules, fullPath, true)) continue;
+          await walk(fullPath, realPath, [...rules, ...await this.loadDirectoryRules(fullPath)]);
+        } else if (isFile && !seenFiles.has(realPath) && await this.acceptFile(fullPath, rules, { extensions, includeFile })) {
+          seenFiles.add(realPath);
+          files.push(fullPath);
+        }
+      }
+    };
+
+    await walk(directory, root, await this.getRules(directory));
+    return files.sort();
+  }
+
+  // For single files that appear later, e.g. files created while `manasx watch` runs
+  async isIncluded(filePath, options = {}) {
+    const { extensions = DEFAULT_EXTENSIONS, includeFile = null, root = path.dirname(filePath) } = options;
+    const directory = path.dirname(filePath);
+
+    let current = path.resolve(directory);
+    const top = path.resolve(root);
+    while (current !== top && isInside(current, top)) {
+      if (isIgnored(await this.getRules(path.dirname(current)), current, true)) return false;
+      current = path.dirname(current);
+    }
+
+    return this.acceptFile(filePath, await this.getRules(directory), { extensions, includeFile });
+  }
+
+  async acceptFile(filePath, rules, { extensions, includeFile }) {
+    const name = path.basename(filePath);
+    if (!extensions.includes(path.extname(name)) && !includeFile?.(name)) return false;
+    if (isIgnored(rules, filePath)) return false;
+    if (!isFileIncluded(path.relative(process.cwd(), filePath), { files: this.files, ignores: this.ignores })) return false;
+    return !(this.skipGenerated && await this.isGenerated(filePath));
+  }
+
+  async isGenerated(filePath) {
+    if (MINIFIED_FILE.test(filePath)) return true;
+
+    let handle;
+    try {
+      handle = await fs.open(filePath, 'r');
+      const { buffer, bytesRead } = await handle.read({ length: HEADER_BYTES, position: 0 });
+      return GENERATED_HEADER.test(buffer.toString('utf-8', 0, bytesRead));
+    } catch {
+      return false;
+    } finally {
+      await handle?.close();
+    }
+  }
+
+  // Links are followed only when their target exists and stays inside the directory being scanned
+  async resolveLink(linkPath, root) {
+    try {
+      const realPath = await fs.realpath(linkPath);
+      if (!isInside(realPath, root)) return null;
+      const stats = await fs.stat(realPath);
+      return { realPath, isDirectory: stats.isDirectory(), isFile: stats.isFile() };
+    } catch {
+      return null;
+    }
+  }
+
+  // Rules that apply inside a directory: the defaults plus every ignore file from the repository root down to it
+  async getRules(directory) {
+    const target = path.resolve(directory);
+    const top = await findIgnoreRoot(target);
+    const chain = [];
+    for (let current = target; isInside(current, top); current = path.dirname(current)) {
+      chain.unshift(current);
+      if (current === top) break;
+    }
+
+    const rules = parseIgnorePatterns(DEFAULT_IGNORES.join('\n'), top);
+    for (const current of chain) {
+      rules.push(...await this.loadDirectoryRules(current));
+    }
+    return rules;
+  }
+
+  async loadDirectoryRules(directory) {
+    const key = path.resolve(directory);
+    if (!this.directoryRules.has(key)) {
+      const rules = [];
+      for (const name of IGNORE_FILES) {
+        try {
+          rules.push(...parseIgnorePatterns(await fs.readFile(path.join(key, name), 'utf-8'), key));
+        } catch (error) {
+          if (error.code !== 'ENOENT') logger.warn(`Could not read ${path.join(key, name)}: ${error.message}`);
+        }
+      }
+      this.directoryRules.set(key, rules);
+    }
+    return this.directoryRules.get(key);
+  }
+}
+
+// Ignore files above the scanned directory count up to the repository root, and only the scanned directory's own outside a repository
+async function findIgnoreRoot(directory) {
+  for (let current = directory; current !== path.dirname(current); current = path.dirname(current)) {
+    try {
+      await fs.access(path.join(current, '.git'));
+      return current;
+    } catch {
+      // Not the repository root; keep looking in the parent
+    }
+  }
+  return directory;
+}
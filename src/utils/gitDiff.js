@@ -0,0 +1,93 @@
+import path from 'path';
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+
+const execFileAsync = promisify(execFile);
+const MAX_BUFFER = 64 * 1024 * 1024;
+
+async function git(args, cwd = process.cwd()) {
+  try {
+    const { stdout } = await execFileAsync('git', args, { cwd, maxBuffer: MAX_BUFFER });
+    return stdout;
+  } catch (error) {
+    const detail = error.stderr?.trim() || error.message;
+    const command = args[0] === '-c' ? args[2] : args[0];
+    throw new Error(`git ${command} failed: ${detail}`);
+  }
+}
+
+export async function getRepositoryRoot(cwd = process.cwd()) {
+  return (await git(['rev-parse', '--show-toplevel'], cwd)).trim();
+}
+
+async function getDiffTarget({ since, staged }, cwd) {
+  if (staged) return ['--cached'];
+
+  // Compare against the merge base so commits that landed on the ref since branching are not reported
+  try {
+    return [(await git(['merge-base', since, 'HEAD'], cwd)).trim()];
+  } catch {
+    return [since];
+  }
+}
+
+export function parseChangedLines(diffOutput) {
+  const changes = new Map();
+  let currentFile = null;
+
+  for (const line of diffOutput.split('\n')) {
+    if (line.startsWith('+++ ')) {
+      currentFile = line === '+++ /dev/null' ? null : line.slice(4).replace(/\t$/, '').replace(/^b\//, '');
+      if (currentFile && !changes.has(currentFile)) changes.set(currentFile, new Set());
+      continue;
+    }
+
+    const hunk = line.match(/^@@ -\d+(?:,\d+)? \+(\d+)(?:,(\d+))? @@/);
+    if (hunk && currentFile) {
+      const start = Number(hunk[1]);
+      const count = hunk[2] === undefined ? 1 : Number(hunk[2]);
+      for (let offset = 0; offset < count; offset++) {
+        changes.get(currentFile).add(start + offset);
+      }
+    }
+  }
+
+  return changes;
+}
+
+export async function getChangedFiles({ since = null, staged = false } = {}, cwd = process.cwd()) {
+  const root = await getRepositoryRoot(cwd);
+  const target = await getDiffTarget({ since, staged }, root);
+  const diff = await git(['-c', 'core.quotepath=off', 'diff', '--no-color', '--no-ext-diff', '--unified=0', '--diff-filter=ACMR', ...target, '--'], root);
+
+  const files = new Map();
+  for (const [file, lines] of parseChangedLines(diff)) {
+    files.set(path.join(root, file), lines);
+  }
+  return { root, files };
+}
+
+export async function readStagedFile(filePath, root) {
+  root ??= await getRepositoryRoot();
+  const relativePath = path.relative(root, path.resolve(filePath)).split(path.sep).join('/');
+  return git(['show', `:${relativePath}`], root);
+}
+
+export async function getHooksDirectory(cwd = process.cwd()) {
+  // --git-path honors core.hooksPath and worktrees
+  const hooksPath = (await git(['rev-parse', '--git-path', 'hooks'], cwd)).trim();
+  return path.resolve(cwd, hooksPath);
+}
+
+export async function getIgnoredFiles(filePaths, cwd = process.cwd()) {
+  if (filePaths.length === 0) return new Set();
+
+  try {
+    const { stdout } = await execFileAsync('git', ['check-ignore', '--', ...filePaths], { cwd, maxBuffer: MAX_BUFFER });
+    return new Set(stdout.split('\n').filter(Boolean).map(file => path.resolve(cwd, file)));
+  } catch (error) {
+    // check-ignore exits with 1 when none of the paths are ignored
+    if (error.code === 1) return new Set();
+    throw new Error(`git check-ignore failed: ${error.stderr?.trim() || error.message}`);
+  }
+}
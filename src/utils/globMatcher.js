@@ -0,0 +1,34 @@
+import path from 'path';
+import { minimatch, Minimatch } from 'minimatch';
+
+const GLOB_OPTIONS = { dot: true };
+
+export function toPosixPath(filePath) {
+  return filePath.split(path.sep).join('/');
+}
+
+export function matchesGlob(filePath, patterns) {
+  if (!patterns) return false;
+  const list = Array.isArray(patterns) ? patterns : [patterns];
+  const normalized = toPosixPath(filePath).replace(/^\.\//, '');
+
+  return list.some(pattern => {
+    const glob = pattern.replace(/^\.\//, '');
+    return minimatch(normalized, glob, { ...GLOB_OPTIONS, matchBase: isBasenameGlob(glob) });
+  });
+}
+
+// A wildcard without a slash, such as *.test.js, matches file names at any depth;
+// a plain path such as index.js only ever matches that one file
+function isBasenameGlob(pattern) {
+  return !pattern.includes('/') && new Minimatch(pattern).hasMagic();
+}
+
+export function matchesPattern(value, pattern) {
+  return pattern === '*' || value === pattern || minimatch(value, pattern, { dot: true });
+}
+
+export function isFileIncluded(filePath, { files, ignores } = {}) {
+  if (files && files.length > 0 && !matchesGlob(filePath, files)) return false;
+  return !matchesGlob(filePath, ignores);
+}
@@ -1,5 +1,6 @@
 import fs from 'fs';
 import path from 'path';
+import { maskSecrets } from './secretPatterns.js';
 
 export class LogFormatter {
   constructor(logDir = '.manasx') {
@@ -171,9 +172,14 @@ export class LogFormatter {
       lines.push(`⏳ Uptime: ${uptime} seconds`);
     }
     
+    if (stats.qualityGate) {
+      lines.push(`🚦 Quality Gate: ${stats.qualityGate.passed ? 'PASSED' : 'FAILED'}`);
+      stats.qualityGate.failures.forEach(failure => lines.push(`   • ${failure}`));
+    }
+    
     lines.push(`${'*'.repeat(80)}\n`);
     
-    fs.writeFileSync(logPath, lines.join('\n'));
+    fs.writeFileSync(logPath, maskSecrets(lines.join('\n')));
   }
 
   cleanOldLogs(daysToKeep = 7) {
@@ -200,7 +206,7 @@ export class LogFormatter {
 
   writeToFile(filePath, content) {
     try {
-      fs.appendFileSync(filePath, content);
+      fs.appendFileSync(filePath, maskSecrets(content));
     } catch (error) {
       console.error(`Error writing to ${filePath}:`, error.message);
     }
@@ -9,20 +9,31 @@ function colorizeArgs(args, colorFn) {
   });
 }
 
+// Commands that write machine-readable output to stdout move every diagnostic to stderr
+let diagnosticsToStderr = false;
+
+export function sendDiagnosticsToStderr() {
+  diagnosticsToStderr = true;
+}
+
+function print(...args) {
+  (diagnosticsToStderr ? console.error : console.log)(...args);
+}
+
 export const logger = {
-  info: (...args) => console.log(chalk.dim('ℹ'), ...colorizeArgs(args, chalk.dim)),
-  warn: (...args) => console.log(chalk.yellow('⚠'), ...colorizeArgs(args, chalk.dim)),
-  error: (...args) => console.log(chalk.red('✖'), ...colorizeArgs(args, chalk.dim)),
-  success: (...args) => console.log(chalk.green('✓'), ...colorizeArgs(args, chalk.dim)),
+  info: (...args) => print(chalk.dim('ℹ'), ...colorizeArgs(args, chalk.dim)),
+  warn: (...args) => print(chalk.yellow('⚠'), ...colorizeArgs(args, chalk.dim)),
+  error: (...args) => print(chalk.red('✖'), ...colorizeArgs(args, chalk.dim)),
+  success: (...args) => print(chalk.green('✓'), ...colorizeArgs(args, chalk.dim)),
   
-  monitor: (...args) => console.log(chalk.dim('◦'), ...colorizeArgs(args, chalk.dim)),
+  monitor: (...args) => print(chalk.dim('◦'), ...colorizeArgs(args, chalk.dim)),
   
-  critical: (...args) => console.log(chalk.red('●'), ...colorizeArgs(args, chalk.dim)),
-  high: (...args) => console.log(chalk.red('●'), ...colorizeArgs(args, chalk.dim)),
-  medium: (...args) => console.log(chalk.yellow('●'), ...colorizeArgs(args, chalk.dim)),
-  low: (...args) => console.log(chalk.blue('●'), ...colorizeArgs(args, chalk.dim)),
+  critical: (...args) => print(chalk.red('●'), ...colorizeArgs(args, chalk.dim)),
+  high: (...args) => print(chalk.red('●'), ...colorizeArgs(args, chalk.dim)),
+  medium: (...args) => print(chalk.yellow('●'), ...colorizeArgs(args, chalk.dim)),
+  low: (...args) => print(chalk.blue('●'), ...colorizeArgs(args, chalk.dim)),
   
-  aiDetected: (...args) => console.log(chalk.cyan('◉'), ...colorizeArgs(args, chalk.dim)),
+  aiDetected: (...args) => print(chalk.cyan('◉'), ...colorizeArgs(args, chalk.dim)),
   
   violation: (severity, ...args) => {
     switch (severity?.toLowerCase()) {
@@ -48,29 +59,29 @@ export const logger = {
     const { driftScore, insights = [], recommendations = [] } = extra;
     
     if (violationCount === 0 && !aiDetected && !insights.length) {
-      console.log(chalk.green('✓') + chalk.dim(` ${file} `) + chalk.green('clean'));
+      print(chalk.green('✓') + chalk.dim(` ${file} `) + chalk.green('clean'));
       return;
     }
     
     const relativePath = file.includes('/') ? file.split('/').pop() : file;
     const fileHeader = chalk.cyan('📁') + chalk.bold.white(` ${relativePath}`);
-    console.log(fileHeader);
+    print(fileHeader);
     
     // Show drift score if available
     if (typeof driftScore === 'number') {
       const scoreColor = driftScore >= 80 ? 'green' : driftScore >= 60 ? 'yellow' : 'red';
-      console.log(chalk[scoreColor](`   📊 Compliance Score: ${driftScore}/100`));
+      print(chalk[scoreColor](`   📊 Compliance Score: ${driftScore}/100`));
     }
     
     if (aiDetected) {
-      console.log(chalk.magenta('   🤖 AI-Generated Code Detected'));
+      print(chalk.magenta('   🤖 AI-Generated Code Detected'));
     }
     
     // Show insights
     if (insights.length > 0) {
-      console.log(chalk.cyan('   💡 Insights:'));
+      print(chalk.cyan('   💡 Insights:'));
       insights.forEach(insight => {
-        console.log(chalk.cyan(`      • ${insight}`));
+        print(chalk.cyan(`      • ${insight}`));
       });
     }
     
@@ -82,25 +93,25 @@ export const logger = {
       
       if (critical.length > 0) {
         critical.forEach(v => {
-          console.log(chalk.red('  ● CRITICAL') + chalk.dim(` @line:${v.line} `) + chalk.red(v.message));
+          print(chalk.red('  ● CRITICAL') + chalk.dim(` @line:${v.line} `) + chalk.red(v.message));
         });
       }
       
       if (high.length > 0) {
         high.forEach(v => {
-          console.log(chalk.red('  ● HIGH') + chalk.dim(` @line:${v.line} `) + chalk.dim(v.message));
+          print(chalk.red('  ● HIGH') + chalk.dim(` @line:${v.line} `) + chalk.dim(v.message));
         });
       }
       
       if (medium.length > 0) {
         medium.forEach(v => {
-          console.log(chalk.yellow('  ● MEDIUM') + chalk.dim(` @line:${v.line} `) + chalk.dim(v.message));
+          print(chalk.yellow('  ● MEDIUM') + chalk.dim(` @line:${v.line} `) + chalk.dim(v.message));
         });
       }
       
       if (low.length > 0) {
         low.forEach(v => {
-          console.log(chalk.blue('  ● LOW') + chalk.dim(` @line:${v.line} `) + chalk.dim(v.message));
+          print(chalk.blue('  ● LOW') + chalk.dim(` @line:${v.line} `) + chalk.dim(v.message));
         });
       }
       
@@ -110,17 +121,17 @@ export const logger = {
       if (medium.length > 0) summary.push(chalk.yellow(`${medium.length} medium`));
       if (low.length > 0) summary.push(chalk.blue(`${low.length} low`));
       
-      console.log(chalk.dim('  └─ ') + summary.join(chalk.dim(' • ')) + chalk.dim(' violations found'));
+      print(chalk.dim('  └─ ') + summary.join(chalk.dim(' • ')) + chalk.dim(' violations found'));
     }
     
     // Show recommendations
     if (recommendations.length > 0) {
-      console.log(chalk.green('   ✨ Recommendations:'));
+      print(chalk.green('   ✨ Recommendations:'));
       recommendations.slice(0, 3).forEach(rec => { // Limit to top 3
-        console.log(chalk.green(`      • ${rec}`));
+        print(chalk.green(`      • ${rec}`));
       });
     }
     
-    console.log();
+    print();
   }
 };
\ No newline at end of file
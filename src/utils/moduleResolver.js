@@ -0,0 +1,88 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { createRequire } from 'module';
+import { pathToFileURL } from 'url';
+
+const IMPORT_CONDITIONS = ['import', 'node', 'default'];
+
+export function isRelativeSpecifier(specifier) {
+  return specifier.startsWith('./') || specifier.startsWith('../') || path.isAbsolute(specifier);
+}
+
+export function resolveModule(specifier, baseDir = process.cwd()) {
+  if (isRelativeSpecifier(specifier)) {
+    return path.resolve(baseDir, specifier);
+  }
+
+  // Resolve bare package names from the project being analyzed, not from ManasX itself
+  const projectRequire = createRequire(path.join(baseDir, 'noop.js'));
+  return projectRequire.resolve(specifier);
+}
+
+// Like resolveModule, but also finds ESM-only packages, and never falls back to packages installed next to ManasX
+export async function resolveImport(specifier, baseDir = process.cwd()) {
+  try {
+    return resolveModule(specifier, baseDir);
+  } catch (error) {
+    // ESM-only packages without a "require" export condition cannot be resolved through createRequire
+    const resolved = await resolvePackageExport(specifier, baseDir);
+    if (resolved) return resolved;
+    if (error.code === 'MODULE_NOT_FOUND') {
+      throw new Error(`Cannot find package '${specifier}' from ${baseDir}; install it in the project`);
+    }
+    throw error;
+  }
+}
+
+export async function importModule(specifier, baseDir = process.cwd()) {
+  return import(pathToFileURL(await resolveImport(specifier, baseDir)).href);
+}
+
+async function resolvePackageExport(specifier, baseDir) {
+  const parts = specifier.split('/');
+  const nameLength = specifier.startsWith('@') ? 2 : 1;
+  const name = parts.slice(0, nameLength).join('/');
+  const subpath = ['.', ...parts.slice(nameLength)].join('/');
+
+  for (let directory = path.resolve(baseDir); ; directory = path.dirname(directory)) {
+    const packageDir = path.join(directory, 'node_modules', name);
+    let manifest = null;
+    try {
+      manifest = JSON.parse(await fs.readFile(path.join(packageDir, 'package.json'), 'utf-8'));
+    } catch {
+      // Not installed at this level; keep looking in the parent
+    }
+
+    if (manifest) {
+      const target = manifest.exports === undefined
+        ? (subpath === '.' ? manifest.main || 'index.js' : subpath)
+        : selectExport(getExportsMap(manifest.exports)[subpath]);
+      if (!target) {
+        throw new Error(`Package '${name}' does not export '${subpath}' for import`);
+      }
+      return path.join(packageDir, target);
+    }
+
+    if (directory === path.dirname(directory)) return null;
+  }
+}
+
+function getExportsMap(exports) {
+  const isSubpathMap = exports && typeof exports === 'object' && !Array.isArray(exports) &&
+    Object.keys(exports).every(key => key.startsWith('.'));
+  return isSubpathMap ? exports : { '.': exports };
+}
+
+function selectExport(target) {
+  if (typeof target === 'string') return target;
+  if (Array.isArray(target)) {
+    return target.map(selectExport).find(Boolean) || null;
+  }
+  if (target && typeof target === 'object') {
+    for (const condition of IMPORT_CONDITIONS) {
+      const selected = condition in target ? selectExport(target[condition]) : null;
+      if (selected) return selected;
+    }
+  }
+  return null;
+}
@@ -0,0 +1,109 @@
+import crypto from 'crypto';
+
+export const SECRET_KINDS = ['provider-key', 'private-key', 'jwt', 'high-entropy'];
+
+const PROVIDER_KEYS = [
+  { id: 'aws-access-key', name: 'AWS access key ID', pattern: /\b(?:AKIA|ASIA)[0-9A-Z]{16}\b/g },
+  { id: 'github-token', name: 'GitHub token', pattern: /\bgh[pousr]_[A-Za-z0-9]{36,255}\b/g },
+  { id: 'github-pat', name: 'GitHub fine-grained token', pattern: /\bgithub_pat_[A-Za-z0-9_]{60,255}\b/g },
+  { id: 'slack-token', name: 'Slack token', pattern: /\bxox[abposr]-[A-Za-z0-9-]{10,}\b/g },
+  { id: 'stripe-key', name: 'Stripe live key', pattern: /\b[rs]k_live_[A-Za-z0-9]{24,}\b/g },
+  { id: 'google-api-key', name: 'Google API key', pattern: /\bAIza[0-9A-Za-z_-]{35}\b/g },
+  { id: 'anthropic-api-key', name: 'Anthropic API key', pattern: /\bsk-ant-[A-Za-z0-9_-]{32,}/g },
+  { id: 'openai-api-key', name: 'OpenAI API key', pattern: /\bsk-(?:proj-|svcacct-)?[A-Za-z0-9_-]{32,}/g },
+  { id: 'groq-api-key', name: 'Groq API key', pattern: /\bgsk_[A-Za-z0-9]{48,}\b/g },
+  { id: 'npm-token', name: 'npm access token', pattern: /\bnpm_[A-Za-z0-9]{36}\b/g },
+  { id: 'sendgrid-key', name: 'SendGrid API key', pattern: /\bSG\.[A-Za-z0-9_-]{22}\.[A-Za-z0-9_-]{43}\b/g }
+];
+
+const PRIVATE_KEY = /-----BEGIN ((?:[A-Z0-9]+ )*)PRIVATE KEY( BLOCK)?-----(?:[\s\S]*?-----END \1PRIVATE KEY\2-----)?/g;
+const JWT = /\beyJ[A-Za-z0-9_-]{10,}\.eyJ[A-Za-z0-9_-]{10,}\.[A-Za-z0-9_-]{10,}/g;
+
+const SECRET_NAME = '[\\w$.-]*?(?:api[_-]?key|apikey|secret|token|passw(?:or)?d|pwd|credentials?|auth[_-]?key|private[_-]?key|access[_-]?key)[\\w$-]*';
+// Quotes may arrive escaped when the text is already serialized JSON, as in log entries.
+// Names start where a run of name characters starts; retrying from inside long runs such as base64 data is quadratic.
+const ASSIGNED_LITERAL = new RegExp(`(?<![\\w$.-])(${SECRET_NAME})\\\\?['"]?\\s*(?::=|[:=])\\s*\\\\?(['"\`])([^'"\`\\\\\\s]{8,})\\\\?\\2`, 'gi');
+const ENV_ASSIGNMENT = new RegExp(`^[ \\t]*(?:export[ \\t]+)?(${SECRET_NAME})[ \\t]*=[ \\t]*(?:(['"])([^'"\\n]{8,})\\2|([^'"\\s#]{8,}))`, 'gim');
+const PLACEHOLDER = /^(?:x+|\*+|<.*>|\$\{.*\}|\{\{.*\}\}|.*(?:changeme|change_me|your[_-]|example|placeholder|dummy|redacted).*)$/i;
+
+export const DEFAULT_MIN_ENTROPY = 3.5;
+
+export function shannonEntropy(value) {
+  const counts = new Map();
+  for (const char of value) {
+    counts.set(char, (counts.get(char) || 0) + 1);
+  }
+
+  let entropy = 0;
+  for (const count of counts.values()) {
+    const probability = count / value.length;
+    entropy -= probability * Math.log2(probability);
+  }
+  return entropy;
+}
+
+export function fingerprintSecret(value) {
+  return crypto.createHash('sha256').update(value).digest('hex').slice(0, 16);
+}
+
+export function maskSecret(value, kind = null) {
+  if (kind === 'private-key') return '[REDACTED PRIVATE KEY]';
+  if (value.length <= 8) return '*'.repeat(8);
+  return `${value.slice(0, 4)}${'*'.repeat(8)}`;
+}
+
+export function findSecrets(content, options = {}) {
+  const {
+    kinds = SECRET_KINDS,
+    minEntropy = DEFAULT_MIN_ENTROPY,
+    envFile = false
+  } = options;
+  const findings = [];
+
+  const add = (kind, detector, name, index, value) => {
+    // Earlier detectors win over later ones that match the same text, e.g. Anthropic keys also look like OpenAI keys
+    if (findings.some(finding => index < finding.index + finding.value.length && finding.index < index + value.length)) return;
+    findings.push({ kind, detector, name, index, value, fingerprint: fingerprintSecret(value) });
+  };
+
+  if (kinds.includes('private-key')) {
+    for (const match of content.matchAll(PRIVATE_KEY)) {
+      add('private-key', 'private-key', 'Private key block', match.index, match[0]);
+    }
+  }
+
+  if (kinds.includes('provider-key')) {
+    for (const { id, name, pattern } of PROVIDER_KEYS) {
+      for (const match of content.matchAll(pattern)) {
+        add('provider-key', id, name, match.index, match[0]);
+      }
+    }
+  }
+
+  if (kinds.includes('jwt')) {
+    for (const match of content.matchAll(JWT)) {
+      add('jwt', 'jwt', 'JSON Web Token', match.index, match[0]);
+    }
+  }
+
+  if (kinds.includes('high-entropy')) {
+    for (const match of content.matchAll(envFile ? ENV_ASSIGNMENT : ASSIGNED_LITERAL)) {
+      const value = match[3] ?? match[4];
+      if (PLACEHOLDER.test(value) || shannonEntropy(value) < minEntropy) continue;
+      add('high-entropy', 'high-entropy', `High-entropy value assigned to '${match[1]}'`, match.index + match[0].lastIndexOf(value), value);
+    }
+  }
+
+  return findings.sort((a, b) => a.index - b.index);
+}
+
+export function maskSecrets(text) {
+  let masked = text;
+  // Replace back to front so earlier indexes stay valid
+  for (const finding of findSecrets(text).reverse()) {
+    masked = masked.slice(0, finding.index) +
+      maskSecret(finding.value, finding.kind) +
+      masked.slice(finding.index + finding.value.length);
+  }
+  return masked;
+}
@@ -0,0 +1,131 @@
+const VERSION = /^v?(\d+)\.(\d+)\.(\d+)(?:-([0-9A-Za-z.-]+))?(?:\+[0-9A-Za-z.-]+)?$/;
+const PARTIAL = /^v?(\d+|[xX*])(?:\.(\d+|[xX*]))?(?:\.(\d+|[xX*]))?(?:-([0-9A-Za-z.-]+))?(?:\+[0-9A-Za-z.-]+)?$/;
+const COMPARATOR = /^(\^|~|>=|<=|>|<|=)?\s*(.+)$/;
+
+export function parseVersion(version) {
+  const match = VERSION.exec(String(version).trim());
+  if (!match) return null;
+  return {
+    major: Number(match[1]),
+    minor: Number(match[2]),
+    patch: Number(match[3]),
+    prerelease: match[4] ? match[4].split('.') : []
+  };
+}
+
+export function compareVersions(a, b) {
+  for (const key of ['major', 'minor', 'patch']) {
+    if (a[key] !== b[key]) return a[key] - b[key];
+  }
+
+  // A prerelease sorts before its release: 1.0.0-beta < 1.0.0
+  if (a.prerelease.length === 0 || b.prerelease.length === 0) {
+    return b.prerelease.length - a.prerelease.length;
+  }
+  for (let i = 0; i < Math.max(a.prerelease.length, b.prerelease.length); i++) {
+    const left = a.prerelease[i];
+    const right = b.prerelease[i];
+    if (left === undefined) return -1;
+    if (right === undefined) return 1;
+    if (left === right) continue;
+    const bothNumeric = /^\d+$/.test(left) && /^\d+$/.test(right);
+    return bothNumeric ? Number(left) - Number(right) : (left < right ? -1 : 1);
+  }
+  return 0;
+}
+
+function parsePartial(text) {
+  const match = PARTIAL.exec(text);
+  if (!match) throw new Error(`Invalid version '${text}'`);
+  const parts = [match[1], match[2], match[3]].map(part => part === undefined || /[xX*]/.test(part) ? null : Number(part));
+  // Anything after a wildcard is a wildcard too: 1.x.3 means 1.x
+  const firstWildcard = parts.indexOf(null);
+  if (firstWildcard !== -1) parts.fill(null, firstWildcard);
+  return { parts, prerelease: match[4] ? match[4].split('.') : [] };
+}
+
+function toVersion(parts, prerelease = []) {
+  const [major = 0, minor = 0, patch = 0] = parts.map(part => part ?? 0);
+  return { major, minor, patch, prerelease };
+}
+
+function bump(parts, index) {
+  const next = parts.slice(0, index + 1).map(part => part ?? 0);
+  next[index] += 1;
+  return toVersion(next);
+}
+
+function desugar(operator, text) {
+  const { parts, prerelease } = parsePartial(text);
+  const specified = parts.filter(part => part !== null).length;
+  const lower = toVersion(parts, prerelease);
+
+  if (specified === 0) return operator === '<' || operator === '>' ? [['<', toVersion([0, 0, 0])]] : [];
+
+  switch (operator) {
+    case '^': {
+      // Caret allows changes that do not modify the left-most non-zero part
+      const index = parts.findIndex((part, i) => part !== 0 || i === specified - 1);
+      return [['>=', lower], ['<', bump(parts, Math.min(index, specified - 1))]];
+    }
+    case '~':
+      return [['>=', lower], ['<', bump(parts, specified === 1 ? 0 : 1)]];
+    case '>':
+      return specified === 3 ? [['>', lower]] : [['>=', bump(parts, specified - 1)]];
+    case '<=':
+      return specified === 3 ? [['<=', lower]] : [['<', bump(parts, specified - 1)]];
+    case '>=':
+    case '<':
+      return [[operator, lower]];
+    default:
+      return specified === 3 ? [['=', lower]] : [['>=', lower], ['<', bump(parts, specified - 1)]];
+  }
+}
+
+function parseComparatorSet(set) {
+  const hyphen = /^(\S+)\s+-\s+(\S+)$/.exec(set);
+  if (hyphen) {
+    return [...desugar('>=', hyphen[1]), ...desugar('<=', hyphen[2])];
+  }
+
+  // Operators may be separated from their version by spaces: ">= 1.2.0 < 2"
+  const tokens = set.replace(/(\^|~|>=|<=|>|<|=)\s+/g, '$1').split(/\s+/).filter(Boolean);
+  return tokens.flatMap(token => {
+    const [, operator = '', version] = COMPARATOR.exec(token);
+    return desugar(operator, version);
+  });
+}
+
+function test(version, [operator, bound]) {
+  const order = compareVersions(version, bound);
+  switch (operator) {
+    case '>': return order > 0;
+    case '>=': return order >= 0;
+    case '<': return order < 0;
+    case '<=': return order <= 0;
+    default: return order === 0;
+  }
+}
+
+export function isValidRange(range) {
+  try {
+    String(range).split('||').forEach(set => parseComparatorSet(set.trim()));
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+export function satisfies(version, range) {
+  const parsed = typeof version === 'string' ? parseVersion(version) : version;
+  if (!parsed) return false;
+
+  return String(range).split('||').some(set => {
+    const comparators = parseComparatorSet(set.trim());
+    if (!comparators.every(comparator => test(parsed, comparator))) return false;
+    // Prereleases only match ranges that name a prerelease of the same version
+    return parsed.prerelease.length === 0 || comparators.some(([, bound]) =>
+      bound.prerelease.length > 0 &&
+      bound.major === parsed.major && bound.minor === parsed.minor && bound.patch === parsed.patch);
+  });
+}
@@ -0,0 +1,129 @@
+import os from 'os';
+import { format } from 'util';
+import { Worker, parentPort } from 'worker_threads';
+import chalk from 'chalk';
+
+export const ANALYSIS_WORKER = new URL('../workers/analysisWorker.js', import.meta.url);
+
+export function parseJobs(value) {
+  if (value === undefined || value === null) return os.availableParallelism();
+
+  const jobs = Number(value);
+  if (!Number.isInteger(jobs) || jobs < 1) {
+    throw new Error(`Invalid --jobs value '${value}'. Use a positive integer`);
+  }
+  return jobs;
+}
+
+export class WorkerPool {
+  constructor(workerUrl, { size = parseJobs(), workerData = null } = {}) {
+    // Workers print through the main thread, so they color output only when it does
+    const env = { ...process.env, FORCE_COLOR: String(chalk.level) };
+    this.workers = Array.from({ length: size }, () => new Worker(workerUrl, { workerData, env }));
+  }
+
+  run(worker, task) {
+    return new Promise((resolve, reject) => {
+      const cleanup = () => {
+        worker.off('message', onMessage);
+        worker.off('error', onError);
+        worker.off('exit', onExit);
+      };
+      const onMessage = (message) => {
+        cleanup();
+        if (message.error) reject(new Error(message.error));
+        else resolve(message);
+      };
+      const onError = (error) => {
+        cleanup();
+        reject(error);
+      };
+      const onExit = (code) => {
+        cleanup();
+        reject(new Error(`Worker stopped with exit code ${code}`));
+      };
+
+      worker.on('message', onMessage);
+      worker.on('error', onError);
+      worker.on('exit', onExit);
+      worker.postMessage(task);
+    });
+  }
+
+  // Hands results to onResult in task order, however the workers interleave, so output never depends on scheduling
+  async map(tasks, onResult = async () => {}) {
+    const results = new Array(tasks.length);
+    const done = new Array(tasks.length).fill(false);
+    let nextTask = 0;
+    let nextResult = 0;
+    let flushing = Promise.resolve();
+
+    const flush = async () => {
+      while (nextResult < tasks.length && done[nextResult]) {
+        const { result, output } = results[nextResult];
+        output.forEach(line => console.log(line));
+        await onResult(result, nextResult);
+        nextResult++;
+      }
+    };
+
+    await Promise.all(this.workers.map(async (worker) => {
+      while (nextTask < tasks.length) {
+        const index = nextTask++;
+        results[index] = await this.run(worker, tasks[index]);
+        done[index] = true;
+        flushing = flushing.then(flush);
+      }
+    }));
+    await flushing;
+
+    return results.map(message => message.result);
+  }
+
+  async close() {
+    await Promise.all(this.workers.map(worker => worker.terminate()));
+  }
+}
+
+// Runs tasks on `jobs` worker threads, or in this thread with runLocally when one job is enough
+export async function runTasks(tasks, { jobs, workerUrl, workerData, runLocally }, onResult = async () => {}) {
+  const size = Math.min(jobs, tasks.length);
+
+  if (size <= 1) {
+    const results = [];
+    for (const [index, task] of tasks.entries()) {
+      results.push(await runLocally(task));
+      await onResult(results[index], index);
+    }
+    return results;
+  }
+
+  const pool = new WorkerPool(workerUrl, { size, workerData });
+  try {
+    return await pool.map(tasks, onResult);
+  } finally {
+    await pool.close();
+  }
+}
+
+// Worker side: answers one task at a time with handlers keyed by task.kind, returning what the task printed along with its result
+export async function serveTasks(createHandlers) {
+  const output = [];
+  console.log = (...args) => output.push(format(...args));
+  console.warn = console.log;
+  console.error = console.log;
+
+  // Setup output repeats what the main thread printed while loading the same configuration
+  const handlers = await createHandlers();
+  output.length = 0;
+
+  parentPort.on('message', async (task) => {
+    try {
+      const result = await handlers[task.kind](task);
+      parentPort.postMessage({ result, output: output.splice(0) });
+    } catch (error) {
+      output.length = 0;
+      parentPort.postMessage({ error: error.message });
+    }
+  });
+}
@@ -0,0 +1,27 @@
+import fs from 'fs/promises';
+import { workerData } from 'worker_threads';
+import RuleEngine from '../governance/RuleEngine.js';
+import PatternLearner from '../governance/PatternLearner.js';
+import { serveTasks } from '../utils/workerPool.js';
+import { AnalysisCache } from '../utils/analysisCache.js';
+
+// Worker thread for whole-repository commands; each task analyzes one file
+await serveTasks(async () => {
+  const { configuration = null, patterns = null, cache: cacheOptions = null } = workerData || {};
+  const cache = cacheOptions ? new AnalysisCache(cacheOptions) : null;
+  const ruleEngine = new RuleEngine({ cache });
+  if (configuration) {
+    await ruleEngine.processConfiguration(configuration.config, configuration.baseDir);
+  }
+
+  return {
+    async rules({ filePath, content }) {
+      return ruleEngine.applyRules(filePath, content ?? await fs.readFile(filePath, 'utf-8'), patterns);
+    },
+
+    // Counts for a single file, merged by the main thread in file order so totals match a serial run
+    learn({ filePath, rootDirectory }) {
+      return PatternLearner.countFile(filePath, rootDirectory, cache);
+    }
+  };
+});
@@ -0,0 +1,63 @@
+#!/usr/bin/env node
+
+/**
+ * Times the per-file analysis that `manasx watch` runs on every change:
+ * AI pattern detection, drift detection and the recommended rules, after learning patterns once.
+ * Usage: node test/benchmark.js [directory] [maxFiles]
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { performance } from 'perf_hooks';
+import PatternLearner from '../src/governance/PatternLearner.js';
+import DriftDetector from '../src/governance/DriftDetector.js';
+import RuleEngine from '../src/governance/RuleEngine.js';
+import AIDetector from '../src/ai-audit/AIDetector.js';
+import { createFileContext } from '../src/utils/fileContext.js';
+import { FileDiscovery } from '../src/utils/fileDiscovery.js';
+
+const directory = path.resolve(process.argv[2] || 'src');
+const maxFiles = Number(process.argv[3]) || 5000;
+
+const timings = { learn: 0, context: 0, aiPatterns: 0, drift: 0, rules: 0 };
+const time = async (phase, task) => {
+  const start = performance.now();
+  const result = await task();
+  timings[phase] += performance.now() - start;
+  return result;
+};
+
+const files = await new FileDiscovery().find(directory, { maxFiles });
+const patterns = await time('learn', () => new PatternLearner().learnFromDirectory(directory, { maxFiles }));
+
+const ruleEngine = new RuleEngine();
+await ruleEngine.processConfiguration(ruleEngine.getPresetConfiguration('recommended'));
+const driftDetector = new DriftDetector(patterns, { dependencyPolicy: ruleEngine.getDependencyPolicy() });
+const aiDetector = new AIDetector();
+
+let bytes = 0;
+let lines = 0;
+let slowest = { file: null, ms: 0 };
+
+for (const filePath of files) {
+  const content = await fs.readFile(filePath, 'utf-8');
+  const start = performance.now();
+
+  const file = await time('context', () => createFileContext(content, filePath));
+  await time('aiPatterns', () => aiDetector.analyzePatterns(file));
+  await time('drift', () => driftDetector.detectDrift(filePath, { content: file }));
+  await time('rules', () => ruleEngine.applyRules(filePath, file, patterns));
+
+  const elapsed = performance.now() - start;
+  if (elapsed > slowest.ms) slowest = { file: path.relative(directory, filePath), ms: elapsed };
+  bytes += content.length;
+  lines += file.lineCount;
+}
+
+const analysis = timings.context + timings.aiPatterns + timings.drift + timings.rules;
+console.log(`\n📏 ${files.length} files, ${(bytes / 1024 / 1024).toFixed(2)} MB, ${lines} lines in ${directory}`);
+for (const [phase, ms] of Object.entries(timings)) {
+  console.log(`   ${phase.padEnd(12)} ${ms.toFixed(0).padStart(8)} ms`);
+}
+console.log(`   ${'per file'.padEnd(12)} ${(analysis / Math.max(files.length, 1)).toFixed(1).padStart(8)} ms (excluding learn)`);
+console.log(`   ${'slowest'.padEnd(12)} ${slowest.ms.toFixed(0).padStart(8)} ms ${slowest.file || ''}`);